@@ -2,11 +2,29 @@
 let physicsEngine;
 let renderer;
 let objectManager;
+let sceneSerializer;
+let sceneHistory;
+let recorder;
+let selection;
+let measurements;
+let dataLogger;
+let dataChart;
+let collisionLog;
+let motionTrails;
+let benchmark;
+let lab;
+let scenarioRunner;
+let integratorChart;
 let animationId;
 let lastTime = performance.now();
+let lastChartUpdate = 0;
+let collisionLogChanged = false;
 
 // UI State
 let selectedShape = 'box';
+let selectedMaterial = 'default';
+let activeStructure = null;
+let activeForceField = null;
 let isPaused = false;
 
 // Initialize when page loads
@@ -31,13 +49,64 @@ function init() {
     physicsEngine = new PhysicsEngine();
 
     // Initialize renderer
-    renderer = new PhysicsRenderer('physicsCanvas');
+    renderer = new PhysicsRenderer('physicsCanvas', physicsEngine);
 
     // Initialize object manager
     objectManager = new ObjectManager(physicsEngine, renderer);
 
+    // Initialize scene save/load
+    sceneSerializer = new SceneSerializer(physicsEngine, objectManager, renderer);
+
+    // Initialize undo/redo of scene edits
+    sceneHistory = new SceneHistory(sceneSerializer, objectManager);
+
+    // Initialize replay recorder
+    recorder = new SimulationRecorder(physicsEngine, objectManager);
+
+    // Initialize vector overlays and energy readouts
+    measurements = new MeasurementOverlay(physicsEngine, objectManager, renderer);
+    objectManager.addUpdateListener(() => measurements.sync());
+
+    // Initialize click selection with outlines
+    selection = new SelectionManager(objectManager, renderer);
+    objectManager.addUpdateListener(() => selection.sync());
+
+    // Initialize time series logging
+    dataLogger = new DataLogger(physicsEngine, objectManager, measurements);
+
+    // Initialize the collision log (impacts flash in the scene)
+    collisionLog = new CollisionLog(physicsEngine, objectManager, renderer);
+    collisionLog.addListener(() => { collisionLogChanged = true; });
+
+    // Initialize motion trails and stroboscopic copies
+    motionTrails = new MotionTrails(physicsEngine, objectManager, renderer);
+    objectManager.addUpdateListener(() => motionTrails.sync());
+
+    // Initialize performance benchmark
+    benchmark = new Benchmark(physicsEngine, objectManager);
+
+    // Initialize the scripting API and guided labs (lab is usable from the console)
+    lab = new LabAPI(physicsEngine, objectManager, renderer);
+    scenarioRunner = new ScenarioRunner(lab);
+
     // Setup controls
     setupControls();
+    setupScenarioControls();
+    setupInspectorControls();
+    setupMaterialControls();
+    setupJointControls();
+    setupStructureControls();
+    setupForceFieldControls();
+    setupMeasurementControls();
+    setupDataControls();
+    setupCollisionControls();
+    setupTrailControls();
+    setupSceneControls();
+    setupCameraControls();
+    setupDeterministicControls();
+    setupNumericsControls();
+    setupTimelineControls();
+    setupHistoryControls();
 
     // Setup mouse interaction
     setupMouseInteraction();
@@ -45,11 +114,21 @@ function init() {
     // Start animation loop
     animate();
 
-    // Spawn initial objects
-    spawnInitialObjects();
+    // Load a shared scene from the link, otherwise spawn initial objects
+    if (!loadSceneFromHash()) {
+        spawnInitialObjects();
+    }
 }
 
 function spawnInitialObjects() {
+    // Staggered timers depend on frame timing, so reproducible runs spawn at once
+    if (physicsEngine.deterministic) {
+        ['sphere', 'box', 'cylinder', 'cone', 'torus'].forEach(type => {
+            objectManager.spawnRandom(type);
+        });
+        return;
+    }
+
     const initialObjects = [
         { type: 'sphere', delay: 0 },
         { type: 'box', delay: 400 },
@@ -82,7 +161,7 @@ function setupControls() {
     gravityY.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
         document.getElementById('gravityYValue').textContent = value.toFixed(1) + ' m/s²';
-        physicsEngine.setGravity(0, value, 0);
+        sceneHistory.record('Gravidade', () => physicsEngine.setGravity(0, value, 0), 'gravity', 'settings');
     });
 
     // Material properties
@@ -92,25 +171,32 @@ function setupControls() {
     restitution.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
         document.getElementById('restitutionValue').textContent = value.toFixed(2);
-        physicsEngine.updateMaterialProperties(value, parseFloat(friction.value));
+        sceneHistory.record('Restituição', () => {
+            physicsEngine.updateMaterialProperties(value, parseFloat(friction.value));
+        }, 'restitution', 'settings');
     });
 
     friction.addEventListener('input', (e) => {
         const value = parseFloat(e.target.value);
         document.getElementById('frictionValue').textContent = value.toFixed(2);
-        physicsEngine.updateMaterialProperties(parseFloat(restitution.value), value);
+        sceneHistory.record('Atrito', () => {
+            physicsEngine.updateMaterialProperties(parseFloat(restitution.value), value);
+        }, 'friction', 'settings');
     });
 
     // Clear button
     document.getElementById('clearAll').addEventListener('click', () => {
-        objectManager.clearAll();
+        sceneHistory.record('Limpar tudo', () => objectManager.clearAll());
+        recorder.clear();
     });
 
     // Pause button
     document.getElementById('togglePause').addEventListener('click', () => {
-        isPaused = !isPaused;
-        physicsEngine.setPaused(isPaused);
-        document.getElementById('togglePause').textContent = isPaused ? '▶️ Continuar' : '⏸️ Pausar';
+        // Unpausing while scrubbing continues from the frame on screen
+        if (isPaused) {
+            recorder.resumeFromPlayhead();
+        }
+        setPausedState(!isPaused);
     });
 
     // Reset button
@@ -118,36 +204,1782 @@ function setupControls() {
         resetSimulation();
     });
 }
-const shapeName = selectedShape.charAt(0).toUpperCase() + selectedShape.slice(1);
-hint.textContent = `Clique para adicionar ${shapeName} | Arraste para mover`;
+
+function setupMouseInteraction() {
+    const canvas = renderer.canvas;
+    const CLICK_TOLERANCE = 5; // px of movement still counted as a click
+
+    let pointerDown = null;   // where the press started
+    let grabbedObject = null; // object held by the mouse
+    let dragPlane = null;     // camera-facing plane through the grab point
+    let dragSamples = [];     // recent {point, time} for the throw velocity
+
+    canvas.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0) return;
+        pointerDown = { x: event.clientX, y: event.clientY };
+
+        const hit = renderer.pickObject(event, objectManager.getMeshes());
+        const obj = hit && objectManager.findByHit(hit);
+        if (!obj) return;
+
+        // Hold the body and keep the camera still
+        renderer.setControlsEnabled(false);
+        canvas.setPointerCapture(event.pointerId);
+        physicsEngine.grabBody(obj.body, hit.point);
+        grabbedObject = obj;
+        dragPlane = renderer.getDragPlane(hit.point);
+        dragSamples = [{ point: hit.point.clone(), time: performance.now() }];
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (!dragPlane) return;
+
+        const point = renderer.getPlaneIntersection(event, dragPlane);
+        if (!point) return;
+
+        // Don't drag objects below the ground
+        point.y = Math.max(point.y, 0.1);
+        physicsEngine.moveGrab(point);
+
+        const now = performance.now();
+        dragSamples.push({ point, time: now });
+        dragSamples = dragSamples.filter(sample => now - sample.time < 100);
+    });
+
+    const endDrag = (event) => {
+        const moved = pointerDown
+            ? Math.hypot(event.clientX - pointerDown.x, event.clientY - pointerDown.y)
+            : Infinity;
+
+        if (dragPlane) {
+            // A click on an object selects it instead of throwing
+            if (moved < CLICK_TOLERANCE) {
+                physicsEngine.releaseBody();
+                selectObject(grabbedObject, event.shiftKey);
+            } else {
+                physicsEngine.releaseBody(getThrowVelocity(dragSamples));
+            }
+            grabbedObject = null;
+            dragPlane = null;
+            dragSamples = [];
+            renderer.setControlsEnabled(true);
+            if (canvas.hasPointerCapture(event.pointerId)) {
+                canvas.releasePointerCapture(event.pointerId);
+            }
+        } else if (pointerDown && event.type === 'pointerup') {
+            // A click without dragging the camera spawns an object
+            if (moved < CLICK_TOLERANCE) {
+                const point = renderer.getGroundIntersection(event);
+                if (point) {
+                    sceneHistory.record(`Adicionar ${selectedShape}`, () => {
+                        objectManager.spawnAtPosition(selectedShape, point, selectedMaterial);
+                    });
+                }
+            }
+        }
+        pointerDown = null;
+    };
+
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+}
+
+// Shift-click adds or removes an object from the selection
+function selectObject(obj, additive = false) {
+    selection.select(obj, additive);
+    updateInspector();
+}
+
+function setupScenarioControls() {
+    const section = createPanelSection('🧪 Experimentos guiados');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="scenarioSelect">Experimento</label>
+        <select id="scenarioSelect" class="panel-input">
+            ${Object.keys(SCENARIOS).map(key => `<option value="${key}">${SCENARIOS[key].title}</option>`).join('')}
+        </select>
+    `;
+    section.appendChild(group);
+
+    createPanelButton(section, '📂 Carregar experimento', () => {
+        loadScenario(SCENARIOS[document.getElementById('scenarioSelect').value]);
+    });
+
+    // Teachers' labs as JSON files (no functions: expected values are numbers or recorded names)
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        sceneSerializer.readFile(file)
+            .then(text => {
+                const scenario = JSON.parse(text);
+                scenarioRunner.validate(scenario);
+
+                // Own namespace, so a file can't replace a built-in experiment
+                const key = `arquivo:${file.name}`;
+                SCENARIOS[key] = scenario;
+                const select = document.getElementById('scenarioSelect');
+                let option = [...select.options].find(option => option.value === key);
+                if (!option) {
+                    option = document.createElement('option');
+                    option.value = key;
+                    select.appendChild(option);
+                }
+                option.textContent = scenario.title;
+                select.value = key;
+                loadScenario(scenario);
+            })
+            .catch(error => alert(`Não foi possível carregar o experimento: ${error.message}`));
+        fileInput.value = '';
+    });
+    section.appendChild(fileInput);
+
+    createPanelButton(section, '📥 Importar experimento', () => fileInput.click());
+
+    const panel = document.createElement('div');
+    panel.className = 'control-group scenario-panel';
+    panel.id = 'scenarioPanel';
+    panel.hidden = true;
+    panel.innerHTML = `
+        <div class="scenario-description" id="scenarioDescription"></div>
+        <ol class="scenario-steps" id="scenarioSteps"></ol>
+        <div class="timeline-buttons">
+            <button class="timeline-btn" id="scenarioPrevious" title="Passo anterior">⬅️</button>
+            <button class="timeline-btn" id="scenarioStart">▶️ Iniciar experimento</button>
+            <button class="timeline-btn" id="scenarioNext" title="Próximo passo">➡️</button>
+        </div>
+        <div class="stats" id="scenarioEvents"></div>
+        <div class="scenario-goals" id="scenarioGoals"></div>
+    `;
+    section.appendChild(panel);
+
+    document.getElementById('scenarioPrevious').addEventListener('click', () => scenarioRunner.previousStep());
+    document.getElementById('scenarioNext').addEventListener('click', () => scenarioRunner.nextStep());
+    document.getElementById('scenarioStart').addEventListener('click', () => {
+        if (isPaused) {
+            recorder.resumeFromPlayhead();
+            setPausedState(false);
+        }
+    });
+
+    createPanelButton(section, '🔁 Reiniciar experimento', () => {
+        if (scenarioRunner.scenario) loadScenario(scenarioRunner.scenario);
+    });
+
+    scenarioRunner.addListener(() => updateScenarioPanel());
+}
+
+function loadScenario(scenario) {
+    try {
+        sceneHistory.record(`Experimento: ${scenario.title}`, () => scenarioRunner.load(scenario));
+    } catch (error) {
+        alert(`Não foi possível carregar o experimento: ${error.message}`);
+        return;
+    }
+
+    recorder.clear();
+    selection.clear();
+    syncControlsWithSettings();
+    setPausedState(physicsEngine.isPaused);
+    buildScenarioGoals();
+}
+
+// One answer field per goal, checked against the runner
+function buildScenarioGoals() {
+    const container = document.getElementById('scenarioGoals');
+    const goals = scenarioRunner.scenario ? scenarioRunner.scenario.goals || [] : [];
+
+    container.innerHTML = goals.map(goal => `
+        <label for="goal-${goal.id}">${escapeHtml(goal.prompt)}${goal.unit ? ` (${escapeHtml(goal.unit)})` : ''}</label>
+        <div class="field-param-row">
+            <input type="number" id="goal-${goal.id}" class="panel-input" step="any">
+            <button class="timeline-btn" data-goal="${goal.id}">Verificar</button>
+        </div>
+        <div class="scenario-feedback" id="goalFeedback-${goal.id}"></div>
+    `).join('');
+
+    container.querySelectorAll('[data-goal]').forEach(button => {
+        button.addEventListener('click', () => {
+            const answer = parseFloat(document.getElementById(`goal-${button.dataset.goal}`).value);
+            if (!Number.isFinite(answer)) return;
+            scenarioRunner.check(button.dataset.goal, answer);
+        });
+    });
+}
+
+// Steps, trigger messages and answer feedback; also mirrors pauses set by triggers
+function updateScenarioPanel() {
+    const scenario = scenarioRunner.scenario;
+    const panel = document.getElementById('scenarioPanel');
+    panel.hidden = !scenario;
+
+    if (physicsEngine.isPaused !== isPaused) {
+        setPausedState(physicsEngine.isPaused);
+    }
+    if (!scenario) return;
+
+    document.getElementById('scenarioDescription').textContent = scenario.description || scenario.title;
+    document.getElementById('scenarioSteps').innerHTML = (scenario.steps || []).map((step, i) =>
+        `<li class="${i === scenarioRunner.currentStep ? 'current' : ''}">${escapeHtml(step)}</li>`
+    ).join('');
+
+    document.getElementById('scenarioEvents').innerHTML = renderStatItems(
+        scenarioRunner.events.map(event => [event.message, `t = ${event.time.toFixed(2)} s`])
+    );
+
+    (scenario.goals || []).forEach(goal => {
+        const feedback = document.getElementById(`goalFeedback-${goal.id}`);
+        const result = scenarioRunner.results[goal.id];
+        if (!feedback || !result) return;
+
+        if (result.status === 'pending') {
+            feedback.textContent = '⏳ Ainda não medido, rode o experimento primeiro';
+        } else {
+            const expected = `${result.expected.toPrecision(3)}${goal.unit ? ' ' + goal.unit : ''}`;
+            feedback.textContent = result.status === 'correct'
+                ? `✅ Correto (esperado ${expected})`
+                : `❌ Tente de novo (esperado ${expected})`;
+        }
+        feedback.className = `scenario-feedback ${result.status}`;
+    });
+}
+
+// Editable properties of the selection. With several objects selected
+// every edit is applied to all of them, the fields show the last one clicked.
+function setupInspectorControls() {
+    const section = createPanelSection('🔍 Inspetor');
+    const library = physicsEngine.materialLibrary;
+
+    const vectors = {
+        position: 'Posição (m)',
+        velocity: 'Velocidade (m/s)',
+        angularVelocity: 'Velocidade angular (rad/s)',
+    };
+
+    const group = document.createElement('div');
+    group.className = 'control-group field-params';
+    group.id = 'inspectorFields';
+    group.innerHTML = `
+        <label>Seleção <span class="value" id="inspectorTitle"></span></label>
+        <label for="inspectorLabel">Nome</label>
+        <input type="text" id="inspectorLabel" class="panel-input" placeholder="sem nome">
+        <label for="inspectorMass">Massa (kg)</label>
+        <input type="number" id="inspectorMass" class="panel-input" min="0.001" step="any">
+        <label for="inspectorSize">Tamanho (m)</label>
+        <input type="number" id="inspectorSize" class="panel-input" min="0.2" max="10" step="0.1">
+        <label for="inspectorColor">Cor</label>
+        <input type="color" id="inspectorColor" class="panel-input">
+        <label for="inspectorMaterial">Material</label>
+        <select id="inspectorMaterial" class="panel-input">
+            ${library.getNames().map(name => `<option value="${name}">${library.get(name).label}</option>`).join('')}
+        </select>
+        ${Object.keys(vectors).map(property => `
+            <label>${vectors[property]}</label>
+            <div class="field-param-row">
+                ${['x', 'y', 'z'].map(axis =>
+                    `<input type="number" class="panel-input" step="any" title="${axis}" data-property="${property}" data-axis="${axis}">`
+                ).join('')}
+            </div>
+        `).join('')}
+    `;
+    section.appendChild(group);
+
+    // Typing and colour dragging merge into one history entry
+    const forEachSelected = (label, apply, mergeKey = null) => {
+        sceneHistory.record(label, () => selection.objects.forEach(apply), mergeKey);
+        updateInspector();
+    };
+
+    document.getElementById('inspectorLabel').addEventListener('input', (e) => {
+        forEachSelected('Nome', obj => { obj.label = e.target.value.trim(); }, 'label');
+    });
+
+    document.getElementById('inspectorMass').addEventListener('change', (e) => {
+        const mass = parseFloat(e.target.value);
+        if (!(mass > 0)) return;
+        forEachSelected('Massa', obj => objectManager.setObjectMass(obj, mass));
+    });
+
+    document.getElementById('inspectorSize').addEventListener('change', (e) => {
+        const size = parseFloat(e.target.value);
+        if (!(size > 0)) return;
+        // Custom meshes have no size parameter
+        forEachSelected('Tamanho', obj => {
+            if (obj.size !== null) objectManager.resizeObject(obj, size);
+        });
+    });
+
+    document.getElementById('inspectorColor').addEventListener('input', (e) => {
+        const color = parseInt(e.target.value.slice(1), 16);
+        forEachSelected('Cor', obj => objectManager.setObjectColor(obj, color), 'color');
+    });
+
+    document.getElementById('inspectorMaterial').addEventListener('change', (e) => {
+        forEachSelected('Material', obj => objectManager.setObjectMaterial(obj, e.target.value));
+    });
+
+    group.querySelectorAll('[data-property]').forEach(input => {
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value)) return;
+            forEachSelected(vectors[input.dataset.property], obj => {
+                setBodyComponent(obj, input.dataset.property, input.dataset.axis, value);
+            });
+        });
+    });
+
+    createPanelButton(section, '📄 Duplicar', () => {
+        const copies = sceneHistory.record('Duplicar', () =>
+            selection.objects.map(obj => objectManager.duplicateObject(obj))
+        );
+        selection.select(null);
+        copies.forEach(copy => selection.select(copy, true));
+        updateInspector();
+    });
+
+    const freezeButton = createPanelButton(section, '❄️ Congelar', () => {
+        // Mixed selections freeze everything first
+        const freeze = selection.objects.some(obj => !obj.frozen);
+        forEachSelected(freeze ? 'Congelar' : 'Descongelar', obj => objectManager.setObjectFrozen(obj, freeze));
+    });
+    freezeButton.id = 'inspectorFreeze';
+
+    createPanelButton(section, '🗑️ Excluir', () => deleteSelection());
+    createPanelButton(section, '✖️ Limpar seleção', () => selectObject(null));
+
+    // Delete removes the selection, Escape clears it (not while typing)
+    document.addEventListener('keydown', (e) => {
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        if (e.key === 'Delete') {
+            deleteSelection();
+        } else if (e.key === 'Escape') {
+            selectObject(null);
+        }
+    });
+
+    updateInspector();
+}
+
+// Write one component of position, velocity or angular velocity
+function setBodyComponent(obj, property, axis, value) {
+    const body = obj.body;
+
+    // A frozen body with velocity would push what touches it like a conveyor
+    if (obj.frozen && property !== 'position') return;
+
+    body[property][axis] = value;
+    if (property === 'position') {
+        body.previousPosition[axis] = value;
+        body.interpolatedPosition[axis] = value;
+        body.aabbNeedsUpdate = true;
+    }
+    body.wakeUp();
+}
+
+function deleteSelection() {
+    if (!selection.objects.length) return;
+    sceneHistory.record('Excluir', () => {
+        [...selection.objects].forEach(obj => objectManager.removeObject(obj));
+    });
+    selection.clear();
+    updateInspector();
+}
+
+// Show the primary selection in the fields, leaving the one being typed in alone
+function updateInspector() {
+    const primary = selection.getPrimary();
+    const count = selection.objects.length;
+    const fields = document.getElementById('inspectorFields');
+
+    document.getElementById('inspectorTitle').textContent = !primary
+        ? 'clique num objeto (shift+clique para vários)'
+        : count > 1
+            ? `${count} objetos · ${objectManager.getObjectName(primary)}`
+            : objectManager.getObjectName(primary);
+
+    fields.querySelectorAll('input, select').forEach(input => {
+        input.disabled = !primary;
+    });
+    document.getElementById('inspectorFreeze').textContent =
+        primary && selection.objects.every(obj => obj.frozen) ? '🔥 Descongelar' : '❄️ Congelar';
+    if (!primary) return;
+
+    const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (document.activeElement !== input) {
+            input.value = value;
+        }
+    };
+
+    setValue('inspectorLabel', primary.label);
+    setValue('inspectorMass', Number(objectManager.getObjectMass(primary).toFixed(3)));
+    setValue('inspectorSize', primary.size === null ? '' : Number(primary.size.toFixed(2)));
+    setValue('inspectorColor', '#' + new THREE.Color(primary.color).getHexString());
+    setValue('inspectorMaterial', primary.material);
+    document.getElementById('inspectorSize').disabled = primary.size === null;
+
+    fields.querySelectorAll('[data-property]').forEach(input => {
+        if (document.activeElement === input) return;
+        input.value = primary.body[input.dataset.property][input.dataset.axis].toFixed(2);
+    });
+}
+
+// Average velocity over the last drag samples
+function getThrowVelocity(samples) {
+    if (samples.length < 2) {
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const dt = (last.time - first.time) / 1000;
+    if (dt <= 0) {
+        return { x: 0, y: 0, z: 0 };
+    }
+
+    return {
+        x: (last.point.x - first.point.x) / dt,
+        y: (last.point.y - first.point.y) / dt,
+        z: (last.point.z - first.point.z) / dt,
+    };
+}
+
+// Append a titled section to the control panel
+function createPanelSection(title) {
+    const section = document.createElement('div');
+    section.className = 'control-section';
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    document.querySelector('.panel-content').appendChild(section);
+    return section;
+}
+
+function createPanelButton(section, label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'reset-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    section.appendChild(button);
+    return button;
+}
+
+function setupStructureControls() {
+    const section = createPanelSection('🏗️ Estruturas');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="structureKind">Adicionar</label>
+        <select id="structureKind" class="panel-input">
+            ${Object.keys(STRUCTURE_TYPES).map(kind =>
+                `<option value="${kind}">${STRUCTURE_TYPES[kind].label}</option>`
+            ).join('')}
+        </select>
+    `;
+    section.appendChild(group);
+
+    createPanelButton(section, '➕ Colocar estrutura', () => {
+        const kind = document.getElementById('structureKind').value;
+        activeStructure = sceneHistory.record('Colocar estrutura', () =>
+            objectManager.createStructure(kind, {}, {}, selectedMaterial)
+        );
+        refreshStructureEditor();
+    });
+
+    // Editor for the active structure
+    const editor = document.createElement('div');
+    editor.className = 'control-group';
+    editor.innerHTML = `
+        <label for="structureX">Posição x <span class="value" id="structureXValue">0 m</span></label>
+        <input type="range" id="structureX" data-transform="x" min="-20" max="20" step="0.5" value="0">
+        <label for="structureZ">Posição z <span class="value" id="structureZValue">0 m</span></label>
+        <input type="range" id="structureZ" data-transform="z" min="-20" max="20" step="0.5" value="0">
+        <label for="structureRotation">Rotação <span class="value" id="structureRotationValue">0°</span></label>
+        <input type="range" id="structureRotation" data-transform="rotationY" min="-180" max="180" step="5" value="0">
+        <label for="structureScale">Escala <span class="value" id="structureScaleValue">1.0×</span></label>
+        <input type="range" id="structureScale" data-transform="scale" min="0.25" max="3" step="0.05" value="1">
+        <label for="structureAngle">Inclinação da rampa <span class="value" id="structureAngleValue">30°</span></label>
+        <input type="range" id="structureAngle" min="0" max="60" step="1" value="30">
+    `;
+    section.appendChild(editor);
+
+    editor.querySelectorAll('input[data-transform]').forEach(input => {
+        input.addEventListener('input', () => {
+            if (!activeStructure) return;
+            activeStructure = sceneHistory.record('Mover estrutura', () =>
+                objectManager.updateStructure(activeStructure, {}, {
+                    [input.dataset.transform]: parseFloat(input.value),
+                }), 'structure');
+            refreshStructureEditor();
+        });
+    });
+
+    document.getElementById('structureAngle').addEventListener('input', (e) => {
+        if (!activeStructure || activeStructure.kind !== 'ramp') return;
+        activeStructure = sceneHistory.record('Inclinação da rampa', () =>
+            objectManager.updateStructure(activeStructure, { angle: parseFloat(e.target.value) }), 'structure');
+        refreshStructureEditor();
+    });
+
+    createPanelButton(section, '🗑️ Remover estrutura', () => {
+        if (!activeStructure) return;
+        sceneHistory.record('Remover estrutura', () => objectManager.removeStructure(activeStructure));
+        const structures = objectManager.structures;
+        activeStructure = structures.length ? structures[structures.length - 1] : null;
+        refreshStructureEditor();
+    });
+
+    // Ground size: infinite plane or a finite slab objects can fall off
+    const ground = document.createElement('div');
+    ground.className = 'control-group';
+    ground.innerHTML = `
+        <label for="groundSize">Chão</label>
+        <select id="groundSize" class="panel-input">
+            <option value="">Infinito</option>
+            <option value="20">20 × 20 m</option>
+            <option value="50">50 × 50 m</option>
+            <option value="100">100 × 100 m</option>
+        </select>
+    `;
+    section.appendChild(ground);
+
+    document.getElementById('groundSize').addEventListener('change', (e) => {
+        const size = e.target.value === '' ? null : parseFloat(e.target.value);
+        sceneHistory.record('Chão', () => {
+            physicsEngine.setGroundSize(size);
+            renderer.setGroundSize(size || 50);
+        });
+    });
+
+    refreshStructureEditor();
+}
+
+// Show the active structure's placement in the editor sliders
+function refreshStructureEditor() {
+    const transform = activeStructure ? activeStructure.transform : { x: 0, z: 0, rotationY: 0, scale: 1 };
+    const isRamp = activeStructure && activeStructure.kind === 'ramp';
+
+    document.getElementById('structureX').value = transform.x;
+    document.getElementById('structureXValue').textContent = `${transform.x} m`;
+    document.getElementById('structureZ').value = transform.z;
+    document.getElementById('structureZValue').textContent = `${transform.z} m`;
+    document.getElementById('structureRotation').value = transform.rotationY;
+    document.getElementById('structureRotationValue').textContent = `${transform.rotationY}°`;
+    document.getElementById('structureScale').value = transform.scale;
+    document.getElementById('structureScaleValue').textContent = `${transform.scale.toFixed(2)}×`;
+
+    const angle = document.getElementById('structureAngle');
+    angle.disabled = !isRamp;
+    if (isRamp) {
+        angle.value = activeStructure.params.angle;
+        document.getElementById('structureAngleValue').textContent = `${activeStructure.params.angle}°`;
+    }
+}
+
+function setupForceFieldControls() {
+    const section = createPanelSection('🌀 Campos de força');
+
+    createPanelButton(section, '🪐 Órbita', () => sceneHistory.record('Órbita', buildOrbit));
+    createPanelButton(section, '💧 Tanque de água', () => sceneHistory.record('Tanque de água', buildFluidTank));
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="forceFieldType">Adicionar</label>
+        <select id="forceFieldType" class="panel-input">
+            ${Object.keys(FORCE_FIELD_TYPES).map(type =>
+                `<option value="${type}">${FORCE_FIELD_TYPES[type].label}</option>`
+            ).join('')}
+        </select>
+    `;
+    section.appendChild(group);
+
+    createPanelButton(section, '➕ Adicionar campo', () => {
+        const type = document.getElementById('forceFieldType').value;
+        activeForceField = sceneHistory.record('Adicionar campo', () => objectManager.addForceField(type));
+        refreshForceFieldEditor();
+    });
+
+    // Active field picker and its parameters, filled by refreshForceFieldEditor()
+    const editor = document.createElement('div');
+    editor.className = 'control-group';
+    editor.innerHTML = `
+        <label for="forceFieldActive">Campo ativo</label>
+        <select id="forceFieldActive" class="panel-input"></select>
+        <div class="measurement-toggles">
+            <label><input type="checkbox" id="forceFieldEnabled"> Ligado</label>
+        </div>
+        <div id="forceFieldParams" class="field-params"></div>
+    `;
+    section.appendChild(editor);
+
+    document.getElementById('forceFieldActive').addEventListener('change', (e) => {
+        const id = parseInt(e.target.value, 10);
+        activeForceField = objectManager.forceFields.find(entry => entry.field.id === id) || null;
+        refreshForceFieldEditor();
+    });
+
+    document.getElementById('forceFieldEnabled').addEventListener('change', (e) => {
+        if (!activeForceField) return;
+        sceneHistory.record('Ligar/desligar campo', () => {
+            objectManager.updateForceField(activeForceField, {}, e.target.checked);
+        });
+    });
+
+    createPanelButton(section, '🗑️ Remover campo', () => {
+        if (!activeForceField) return;
+        sceneHistory.record('Remover campo', () => objectManager.removeForceField(activeForceField));
+        const fields = objectManager.forceFields;
+        activeForceField = fields.length ? fields[fields.length - 1] : null;
+        refreshForceFieldEditor();
+    });
+
+    refreshForceFieldEditor();
+}
+
+// List the fields and build one input per parameter of the active one
+function refreshForceFieldEditor() {
+    const picker = document.getElementById('forceFieldActive');
+    picker.innerHTML = objectManager.forceFields.map(({ field }) =>
+        `<option value="${field.id}">${FORCE_FIELD_TYPES[field.type].label} #${field.id}</option>`
+    ).join('');
+
+    const container = document.getElementById('forceFieldParams');
+    container.innerHTML = '';
+
+    const enabled = document.getElementById('forceFieldEnabled');
+    enabled.disabled = !activeForceField;
+    if (!activeForceField) return;
+
+    const field = activeForceField.field;
+    const labels = FORCE_FIELD_TYPES[field.type].labels;
+    picker.value = String(field.id);
+    enabled.checked = field.enabled;
+
+    Object.keys(field.params).forEach(key => {
+        const value = field.params[key];
+        const label = document.createElement('label');
+        label.textContent = labels[key] || key;
+        container.appendChild(label);
+
+        // Vectors get one input per component on a single row
+        const row = document.createElement('div');
+        row.className = 'field-param-row';
+        container.appendChild(row);
+
+        const components = typeof value === 'object' ? ['x', 'y', 'z'] : [null];
+        components.forEach(axis => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'panel-input';
+            input.step = 'any';
+            input.value = axis ? value[axis] : value;
+            if (axis) input.title = axis;
+
+            input.addEventListener('change', () => {
+                const number = parseFloat(input.value);
+                if (!Number.isFinite(number)) return;
+                const next = axis ? { ...field.params[key], [axis]: number } : number;
+                sceneHistory.record('Editar campo', () => {
+                    objectManager.updateForceField(activeForceField, { [key]: next });
+                });
+            });
+            row.appendChild(input);
+        });
+    });
+}
+
+// Two bodies on a circular orbit under mutual gravity, no uniform gravity
+function buildOrbit() {
+    setGravityY(0);
+
+    const G = 1;
+    const radius = 8;
+    const star = spawnStillSphere({ x: 0, y: 8, z: 0 }, 2);
+    const planet = spawnStillSphere({ x: radius, y: 8, z: 0 }, 0.8);
+    star.body.mass = 1000;
+    planet.body.mass = 1;
+
+    // v = √(G M / r) around the common centre of mass, total momentum zero
+    const speed = Math.sqrt(G * star.body.mass / radius);
+    planet.body.velocity.set(0, 0, -speed);
+    star.body.velocity.set(0, 0, speed * planet.body.mass / star.body.mass);
+
+    [star, planet].forEach(obj => {
+        obj.body.linearDamping = 0;
+        obj.body.updateMassProperties();
+    });
+
+    activeForceField = objectManager.addForceField('gravity', { G });
+    refreshForceFieldEditor();
+}
+
+// Water volume with floating and sinking materials dropped in
+function buildFluidTank() {
+    activeForceField = objectManager.addForceField('buoyancy');
+    refreshForceFieldEditor();
+
+    ['wood', 'ice', 'steel', 'plastic'].forEach((material, i) => {
+        const obj = objectManager.createObject(i % 2 ? 'box' : 'sphere', { x: -3 + i * 2, y: 8, z: 0 }, 1, material);
+        obj.body.angularVelocity.set(0, 0, 0);
+    });
+}
+
+function setGravityY(value) {
+    document.getElementById('gravityY').value = value;
+    document.getElementById('gravityYValue').textContent = value.toFixed(1) + ' m/s²';
+    physicsEngine.setGravity(0, value, 0);
+}
+
+function setupJointControls() {
+    const section = createPanelSection('🔗 Juntas e molas');
+
+    createPanelButton(section, '🕰️ Pêndulo', () => sceneHistory.record('Pêndulo', buildPendulum));
+    createPanelButton(section, '⚪ Berço de Newton', () => sceneHistory.record('Berço de Newton', buildNewtonsCradle));
+    createPanelButton(section, '〰️ Osciladores acoplados', () => {
+        sceneHistory.record('Osciladores acoplados', buildCoupledOscillators);
+    });
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="springStiffness">Constante k das molas <span class="value" id="springStiffnessValue">40 N/m</span></label>
+        <input type="range" id="springStiffness" min="5" max="200" step="5" value="40">
+        <label for="springRest">Comprimento natural <span class="value" id="springRestValue">2.0 m</span></label>
+        <input type="range" id="springRest" min="0.5" max="6" step="0.1" value="2">
+    `;
+    section.appendChild(group);
+
+    const updateSprings = (params) => {
+        sceneHistory.record('Molas', () => {
+            objectManager.joints.forEach(entry => {
+                if (entry.joint.type === 'spring') {
+                    physicsEngine.updateJoint(entry.joint, params);
+                }
+            });
+        }, 'springs');
+    };
+
+    document.getElementById('springStiffness').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        document.getElementById('springStiffnessValue').textContent = `${value} N/m`;
+        updateSprings({ stiffness: value });
+    });
+
+    document.getElementById('springRest').addEventListener('input', (e) => {
+        const value = parseFloat(e.target.value);
+        document.getElementById('springRestValue').textContent = `${value.toFixed(1)} m`;
+        updateSprings({ restLength: value });
+    });
+
+    createPanelButton(section, '✂️ Remover juntas', () => {
+        sceneHistory.record('Remover juntas', () => {
+            [...objectManager.joints].forEach(entry => objectManager.removeJoint(entry));
+        });
+    });
+}
+
+// Sphere that starts still, for the joint presets
+function spawnStillSphere(position, size, materialName = selectedMaterial) {
+    const obj = objectManager.createObject('sphere', position, size, materialName);
+    obj.body.angularVelocity.set(0, 0, 0);
+    return obj;
+}
+
+function buildPendulum() {
+    const anchor = { x: 0, y: 12, z: 0 };
+    const bob = spawnStillSphere({ x: 4, y: 12, z: 0 }, 1);
+    objectManager.addJoint('rope', bob, null, { anchor, length: 4 });
+}
+
+function buildNewtonsCradle() {
+    const count = 5;
+    const size = 1;
+    const top = 12;
+    const length = 5;
+
+    for (let i = 0; i < count; i++) {
+        const x = (i - (count - 1) / 2) * size;
+        const anchor = { x, y: top, z: 0 };
+
+        // The first ball starts pulled out to the side
+        const position = i === 0
+            ? { x: x - length * Math.sin(Math.PI / 4), y: top - length * Math.cos(Math.PI / 4), z: 0 }
+            : { x, y: top - length, z: 0 };
+
+        const ball = spawnStillSphere(position, size, 'steel');
+        objectManager.addJoint('rope', ball, null, { anchor, length });
+    }
+}
+
+function buildCoupledOscillators() {
+    const stiffness = parseFloat(document.getElementById('springStiffness').value);
+    const restLength = parseFloat(document.getElementById('springRest').value);
+    const top = 14;
+
+    // Two masses hanging in series, the lower one displaced
+    const upper = spawnStillSphere({ x: -6, y: top - restLength - 1, z: 0 }, 1);
+    const lower = spawnStillSphere({ x: -6, y: top - 2 * restLength - 3, z: 0 }, 1);
+
+    objectManager.addJoint('spring', upper, null, { anchor: { x: -6, y: top, z: 0 }, stiffness, restLength, damping: 0.1 });
+    objectManager.addJoint('spring', lower, upper, { stiffness, restLength, damping: 0.1 });
+}
+
+function setupMeasurementControls() {
+    const section = createPanelSection('📏 Medições');
+
+    const toggles = document.createElement('div');
+    toggles.className = 'control-group measurement-toggles';
+    toggles.innerHTML = `
+        <label><input type="checkbox" data-vector="velocity"> Velocidade</label>
+        <label><input type="checkbox" data-vector="acceleration"> Aceleração</label>
+        <label><input type="checkbox" data-vector="force"> Força resultante</label>
+    `;
+    section.appendChild(toggles);
+
+    toggles.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            measurements.setVisible(input.dataset.vector, input.checked);
+        });
+    });
+
+    const inspector = document.createElement('div');
+    inspector.className = 'stats';
+    inspector.id = 'inspectorStats';
+    section.appendChild(inspector);
+
+    const totals = document.createElement('div');
+    totals.className = 'stats';
+    totals.id = 'energyTotals';
+    section.appendChild(totals);
+}
+
+// Object names and scenario text can come from shared links and files
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderStatItems(items) {
+    return items.map(([label, value]) =>
+        `<div class="stat-item"><span class="stat-label">${escapeHtml(label)}</span><span class="stat-value">${escapeHtml(value)}</span></div>`
+    ).join('');
+}
+
+function updateMeasurementPanel() {
+    const selectedObject = selection.getPrimary();
+    const inspector = document.getElementById('inspectorStats');
+    if (selectedObject) {
+        const m = measurements.getMetrics(selectedObject);
+        inspector.innerHTML = renderStatItems([
+            ['Objeto', objectManager.getObjectName(selectedObject)],
+            ['Massa', `${m.mass.toFixed(2)} kg`],
+            ['Altura', `${m.height.toFixed(2)} m`],
+            ['Velocidade', `${m.speed.toFixed(2)} m/s`],
+            ['Momento', `${m.momentumMagnitude.toFixed(2)} kg·m/s`],
+            ['Energia cinética', `${m.kineticEnergy.toFixed(1)} J`],
+            ['Energia potencial', `${m.potentialEnergy.toFixed(1)} J`],
+        ]);
+    } else {
+        inspector.innerHTML = renderStatItems([['Objeto', 'clique para selecionar']]);
+    }
+
+    const totals = measurements.getTotals();
+    document.getElementById('energyTotals').innerHTML = renderStatItems([
+        ['E cinética total', `${totals.kineticEnergy.toFixed(1)} J`],
+        ['E potencial total', `${totals.potentialEnergy.toFixed(1)} J`],
+        ['E mecânica total', `${totals.mechanicalEnergy.toFixed(1)} J`],
+        ['Momento total', `${totals.momentumMagnitude.toFixed(2)} kg·m/s`],
+    ]);
+}
+
+function setupDataControls() {
+    const section = createPanelSection('📈 Dados');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="loggerVariable">Variável do objeto selecionado</label>
+        <select id="loggerVariable" class="panel-input">
+            ${Object.keys(LOGGER_VARIABLES).map(key => {
+                const variable = LOGGER_VARIABLES[key];
+                return `<option value="${key}">${variable.label} (${variable.unit})</option>`;
+            }).join('')}
+        </select>
+        <div class="logger-channels" id="loggerChannels"></div>
+        <div class="chart-box"><canvas id="dataChart"></canvas></div>
+        <div class="logger-fit" id="loggerFit"></div>
+    `;
+    section.appendChild(group);
+
+    createPanelButton(section, '➕ Adicionar ao gráfico', () => {
+        const selectedObject = selection.getPrimary();
+        if (!selectedObject) {
+            alert('Selecione um objeto clicando nele.');
+            return;
+        }
+        dataLogger.addChannel(selectedObject, document.getElementById('loggerVariable').value);
+        rebuildDataChart();
+    });
+
+    const toggle = createPanelButton(section, '⏺️ Gravar dados', () => {
+        if (dataLogger.isLogging) {
+            dataLogger.stop();
+        } else {
+            dataLogger.start();
+        }
+        toggle.textContent = dataLogger.isLogging ? '⏹️ Parar gravação' : '⏺️ Gravar dados';
+    });
+
+    createPanelButton(section, '🧹 Limpar dados', () => {
+        dataLogger.clear();
+        rebuildDataChart();
+    });
+
+    createPanelButton(section, '📄 Exportar CSV', () => dataLogger.download('csv'));
+    createPanelButton(section, '🧾 Exportar JSON', () => dataLogger.download('json'));
+
+    rebuildDataChart();
+}
+
+function setupCollisionControls() {
+    const section = createPanelSection('💥 Colisões');
+
+    const toggles = document.createElement('div');
+    toggles.className = 'control-group measurement-toggles';
+    toggles.innerHTML = `
+        <label><input type="checkbox" id="collisionLogEnabled" checked> Registrar colisões</label>
+        <label><input type="checkbox" id="collisionFlashes" checked> Marcar pontos de contato</label>
+    `;
+    section.appendChild(toggles);
+
+    document.getElementById('collisionLogEnabled').addEventListener('change', (e) => {
+        collisionLog.setEnabled(e.target.checked);
+    });
+    document.getElementById('collisionFlashes').addEventListener('change', (e) => {
+        collisionLog.showContacts = e.target.checked;
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'stats';
+    summary.id = 'collisionSummary';
+    section.appendChild(summary);
+
+    const list = document.createElement('div');
+    list.className = 'collision-log';
+    list.id = 'collisionLog';
+    section.appendChild(list);
+
+    createPanelButton(section, '🧹 Limpar registro', () => collisionLog.clear());
+
+    updateCollisionPanel();
+}
+
+// Newest impacts first; pairs of moving bodies also get the conservation check
+function updateCollisionPanel() {
+    const entries = collisionLog.entries;
+    document.getElementById('collisionSummary').innerHTML = renderStatItems([
+        ['Colisões registradas', entries.length],
+    ]);
+
+    const formatVector = (v) => `(${v.x.toFixed(2)}, ${v.y.toFixed(2)}, ${v.z.toFixed(2)})`;
+    document.getElementById('collisionLog').innerHTML = entries.slice(-50).reverse().map(entry => {
+        const items = [
+            ['Ponto de contato', formatVector(entry.point)],
+            ['Aproximação (normal)', `${entry.approachSpeed.toFixed(2)} m/s`],
+            ['Afastamento (normal)', `${entry.separationSpeed.toFixed(2)} m/s`],
+            ['Restituição e', `${entry.restitution.toFixed(2)} (material ${entry.materialRestitution.toFixed(2)})`],
+            ['Impulso', `${entry.impulse.toFixed(2)} N·s`],
+        ];
+
+        const c = entry.conservation;
+        if (c) {
+            items.push(
+                ['Momento total', `${c.momentumBefore.toFixed(2)} → ${c.momentumAfter.toFixed(2)} kg·m/s (Δ ${(c.momentumChange * 100).toFixed(1)} %)`],
+                ['Energia cinética', `${c.energyBefore.toFixed(1)} → ${c.energyAfter.toFixed(1)} J (perda ${(c.energyLoss * 100).toFixed(1)} %)`]
+            );
+        }
+
+        return `
+            <div class="collision-entry">
+                <div class="collision-title">t = ${entry.time.toFixed(2)} s · ${escapeHtml(entry.nameA)} × ${escapeHtml(entry.nameB)}</div>
+                ${renderStatItems(items)}
+            </div>
+        `;
+    }).join('');
+}
+
+// Trails and multiflash copies, with equal time between copies so
+// displacements can be compared straight off the scene
+function setupTrailControls() {
+    const section = createPanelSection('🌠 Rastros e estroboscopia');
+
+    const trails = document.createElement('div');
+    trails.className = 'control-group';
+    trails.innerHTML = `
+        <div class="measurement-toggles">
+            <label><input type="checkbox" id="trailsEnabled"> Mostrar rastros</label>
+        </div>
+        <label for="trailLength">Duração do rastro <span class="value" id="trailLengthValue">3.0 s</span></label>
+        <input type="range" id="trailLength" min="0.5" max="10" step="0.5" value="3">
+    `;
+    section.appendChild(trails);
+
+    document.getElementById('trailsEnabled').addEventListener('change', (e) => {
+        motionTrails.setTrailsVisible(e.target.checked);
+    });
+    document.getElementById('trailLength').addEventListener('input', (e) => {
+        const seconds = parseFloat(e.target.value);
+        motionTrails.setTrailLength(seconds);
+        document.getElementById('trailLengthValue').textContent = `${seconds.toFixed(1)} s`;
+    });
+
+    const strobe = document.createElement('div');
+    strobe.className = 'control-group';
+    strobe.innerHTML = `
+        <div class="measurement-toggles">
+            <label><input type="checkbox" id="strobeEnabled"> Estroboscópio (cópias)</label>
+            <label><input type="checkbox" id="strobeTimes" checked> Mostrar tempos</label>
+        </div>
+        <label for="strobeInterval">Intervalo entre cópias <span class="value" id="strobeIntervalValue">0.10 s</span></label>
+        <input type="range" id="strobeInterval" min="0.05" max="1" step="0.05" value="0.1">
+        <label for="trailScope">Objetos</label>
+        <select id="trailScope" class="panel-input">
+            <option value="all">Todos</option>
+            <option value="selected">Só os selecionados</option>
+        </select>
+    `;
+    section.appendChild(strobe);
+
+    document.getElementById('strobeEnabled').addEventListener('change', (e) => {
+        motionTrails.setStrobe(e.target.checked);
+    });
+    document.getElementById('strobeTimes').addEventListener('change', (e) => {
+        motionTrails.setTimesVisible(e.target.checked);
+    });
+    document.getElementById('strobeInterval').addEventListener('input', (e) => {
+        const seconds = parseFloat(e.target.value);
+        motionTrails.setStrobeInterval(seconds);
+        document.getElementById('strobeIntervalValue').textContent = `${seconds.toFixed(2)} s`;
+    });
+    document.getElementById('trailScope').addEventListener('change', (e) => {
+        motionTrails.filter = e.target.value === 'selected' ? (obj => selection.has(obj)) : null;
+    });
+
+    createPanelButton(section, '🧹 Limpar rastros e cópias', () => motionTrails.clear());
+}
+
+// Recreate the chart after channels change
+function rebuildDataChart() {
+    if (dataChart) {
+        dataChart.destroy();
+    }
+
+    const palette = ['#00d4ff', '#00ff88', '#ffd93d', '#ff6b6b', '#b24bf3', '#ff8c42'];
+    const ctx = document.getElementById('dataChart').getContext('2d');
+    dataChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: dataLogger.channels.map((channel, i) => ({
+                label: dataLogger.getChannelLabel(channel),
+                data: [],
+                borderColor: palette[i % palette.length],
+                backgroundColor: 'transparent',
+                pointRadius: 0,
+                borderWidth: 2,
+            })),
+        },
+        options: {
+            responsive: true, maintainAspectRatio: false, animation: false,
+            scales: {
+                x: { type: 'linear', ticks: { color: '#cbd5e1' }, title: { display: true, text: 'Tempo (s)', color: '#9ca3af' } },
+                y: { ticks: { color: '#cbd5e1' } }
+            },
+            plugins: { legend: { labels: { color: '#e6eef8' } } }
+        }
+    });
+
+    const list = document.getElementById('loggerChannels');
+    list.innerHTML = '';
+    dataLogger.channels.forEach(channel => {
+        const chip = document.createElement('button');
+        chip.className = 'timeline-btn';
+        chip.textContent = `✕ ${dataLogger.getChannelLabel(channel)}`;
+        chip.addEventListener('click', () => {
+            dataLogger.removeChannel(channel.key);
+            rebuildDataChart();
+        });
+        list.appendChild(chip);
+    });
+
+    updateDataChart();
+}
+
+// Push logged samples into the chart, thinned to keep redraws cheap
+function updateDataChart() {
+    const MAX_POINTS = 500;
+    const stride = Math.max(1, Math.ceil(dataLogger.time.length / MAX_POINTS));
+
+    dataLogger.channels.forEach((channel, i) => {
+        const values = dataLogger.series[channel.key];
+        const points = [];
+        for (let j = 0; j < dataLogger.time.length; j += stride) {
+            if (values[j] !== null) {
+                points.push({ x: dataLogger.time[j], y: values[j] });
+            }
+        }
+        dataChart.data.datasets[i].data = points;
+    });
+    dataChart.update('none');
+
+    // y(t) = a t² + b t + c gives g = -2a for a falling body
+    const fitTarget = dataLogger.channels.find(channel => channel.variable === 'y' || channel.variable === 'height');
+    const fit = fitTarget && dataLogger.fitQuadratic(fitTarget.key);
+    document.getElementById('loggerFit').textContent = fit
+        ? `Ajuste y(t) = ${fit.a.toFixed(3)}t² + ${fit.b.toFixed(3)}t + ${fit.c.toFixed(3)} → g ≈ ${(-2 * fit.a).toFixed(2)} m/s²`
+        : '';
+}
+
+function setupMaterialControls() {
+    const section = createPanelSection('🧱 Materiais');
+    const library = physicsEngine.materialLibrary;
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="materialSelect">Material dos novos objetos <span class="value" id="materialInfo"></span></label>
+        <select id="materialSelect" class="panel-input">
+            ${library.getNames().map(name => `<option value="${name}">${library.get(name).label}</option>`).join('')}
+        </select>
+    `;
+    section.appendChild(group);
+
+    const select = document.getElementById('materialSelect');
+    const showInfo = () => {
+        const definition = library.get(select.value);
+        const density = definition.density === null ? '—' : `${definition.density} kg/m³`;
+        document.getElementById('materialInfo').textContent =
+            `${density} · μ ${definition.friction.toFixed(2)} · e ${definition.restitution.toFixed(2)}`;
+    };
+
+    select.addEventListener('change', () => {
+        selectedMaterial = select.value;
+        showInfo();
+    });
+    showInfo();
+}
+
+function setupSceneControls() {
+    const section = createPanelSection('💾 Cena');
+
+    createPanelButton(section, '⬇️ Exportar cena', () => {
+        sceneSerializer.exportToFile();
+    });
+
+    // Hidden file input used by the import button
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        sceneSerializer.readFile(file)
+            .then(text => {
+                sceneHistory.record('Importar cena', () => sceneSerializer.loadJSON(text));
+                recorder.clear();
+                syncControlsWithSettings();
+            })
+            .catch(error => alert(`Não foi possível carregar a cena: ${error.message}`));
+        fileInput.value = '';
+    });
+    section.appendChild(fileInput);
+
+    createPanelButton(section, '⬆️ Importar cena', () => {
+        fileInput.click();
+    });
+
+    // Custom shapes from .obj files: a convex hull moves, a triangle mesh stays fixed
+    const shapeGroup = document.createElement('div');
+    shapeGroup.className = 'control-group';
+    shapeGroup.innerHTML = `
+        <label for="customShapeMode">Forma importada (.obj)</label>
+        <select id="customShapeMode" class="panel-input">
+            <option value="convex">Casca convexa (móvel)</option>
+            <option value="trimesh">Malha de triângulos (fixa)</option>
+        </select>
+    `;
+    section.appendChild(shapeGroup);
+
+    const shapeInput = document.createElement('input');
+    shapeInput.type = 'file';
+    shapeInput.accept = '.obj';
+    shapeInput.hidden = true;
+    shapeInput.addEventListener('change', () => {
+        const file = shapeInput.files[0];
+        if (!file) return;
+
+        sceneSerializer.readFile(file)
+            .then(text => {
+                const { positions, indices, height } = parseOBJ(text);
+                const mode = document.getElementById('customShapeMode').value;
+                sceneHistory.record('Importar forma', () => lab.spawn({
+                    type: 'custom',
+                    shape: { mode, positions, indices },
+                    material: selectedMaterial,
+                    position: { y: height / 2 + 2 },
+                    label: file.name.replace(/\.obj$/i, ''),
+                    frozen: mode === 'trimesh',
+                }));
+            })
+            .catch(error => alert(`Não foi possível importar a forma: ${error.message}`));
+        shapeInput.value = '';
+    });
+    section.appendChild(shapeInput);
+
+    createPanelButton(section, '🧩 Importar forma', () => shapeInput.click());
+
+    createPanelButton(section, '🔗 Copiar link da cena', () => {
+        const url = window.location.href.split('#')[0] + sceneSerializer.toHash();
+        history.replaceState(null, '', url);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url);
+        }
+    });
+}
+
+// Vertices and faces of a Wavefront .obj, faces split into triangle fans.
+// Centred on the bounding box so the body turns about the middle.
+function parseOBJ(text) {
+    const vertices = [];
+    const indices = [];
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            vertices.push(parts.slice(1, 4).map(Number));
+        } else if (parts[0] === 'f') {
+            // "f 1/1/1 2/2/2 3/3/3": the position index comes first, negative counts back
+            const face = parts.slice(1).map(part => {
+                const index = parseInt(part.split('/')[0], 10);
+                return index < 0 ? vertices.length + index : index - 1;
+            });
+            for (let i = 1; i + 1 < face.length; i++) {
+                indices.push(face[0], face[i], face[i + 1]);
+            }
+        }
+    });
+
+    const validVertex = (v) => v.length === 3 && v.every(Number.isFinite);
+    const validIndex = (i) => i >= 0 && i < vertices.length;
+    if (vertices.length < 4 || indices.length === 0 || !vertices.every(validVertex) || !indices.every(validIndex)) {
+        throw new Error('o arquivo não tem vértices e faces válidos');
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    vertices.forEach(v => v.forEach((value, axis) => {
+        min[axis] = Math.min(min[axis], value);
+        max[axis] = Math.max(max[axis], value);
+    }));
+    const center = min.map((value, axis) => (value + max[axis]) / 2);
+
+    return {
+        positions: vertices.flatMap(v => v.map((value, axis) => value - center[axis])),
+        indices,
+        height: max[1] - min[1],
+    };
+}
+
+function setupCameraControls() {
+    const section = createPanelSection('🎥 Câmera');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label>Vista</label>
+        <div class="timeline-buttons">
+            ${Object.keys(CAMERA_VIEWS).map(name =>
+                `<button class="timeline-btn" data-view="${name}">${CAMERA_VIEWS[name].label}</button>`
+            ).join('')}
+        </div>
+    `;
+    section.appendChild(group);
+
+    group.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => renderer.setView(button.dataset.view));
+    });
+
+    const toggles = document.createElement('div');
+    toggles.className = 'control-group measurement-toggles';
+    toggles.innerHTML = `
+        <label><input type="checkbox" id="orthographicToggle"> Projeção ortográfica (medir)</label>
+    `;
+    section.appendChild(toggles);
+
+    document.getElementById('orthographicToggle').addEventListener('change', (e) => {
+        renderer.setOrthographic(e.target.checked);
+    });
+
+    const followButton = createPanelButton(section, '🎯 Seguir selecionado', () => {
+        if (renderer.isFollowing()) {
+            renderer.stopFollowing();
+            return;
+        }
+
+        const obj = selection.getPrimary();
+        if (!obj) {
+            alert('Selecione um objeto clicando nele.');
+            return;
+        }
+        renderer.follow(() => objectManager.objects.includes(obj) ? obj.mesh.position : null);
+    });
+    followButton.id = 'followButton';
+
+    createPanelButton(section, '📷 Capturar imagem (PNG)', () => {
+        renderer.captureImage().then(blob => downloadBlob(blob, 'captura.png'));
+    });
+
+    const recordButton = createPanelButton(section, '🎬 Gravar vídeo (WebM)', () => {
+        if (renderer.isRecording()) {
+            renderer.stopRecording().then(blob => downloadBlob(blob, 'simulacao.webm'));
+        } else {
+            try {
+                renderer.startRecording();
+            } catch (error) {
+                alert(error.message);
+            }
+        }
+        recordButton.textContent = renderer.isRecording() ? '⏹️ Parar gravação de vídeo' : '🎬 Gravar vídeo (WebM)';
+    });
+}
+
+// Following ends by itself when the object is deleted
+function updateCameraControls() {
+    const label = renderer.isFollowing() ? '⏹️ Parar de seguir' : '🎯 Seguir selecionado';
+    const button = document.getElementById('followButton');
+    if (button.textContent !== label) {
+        button.textContent = label;
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+function setupDeterministicControls() {
+    const section = createPanelSection('🎲 Execução reproduzível');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="seedInput">Semente <span class="value" id="stateHash">—</span></label>
+        <input type="number" id="seedInput" class="panel-input" value="42" step="1">
+    `;
+    section.appendChild(group);
+
+    createPanelButton(section, '🔁 Reiniciar com semente', () => {
+        const seed = parseInt(document.getElementById('seedInput').value, 10) || 0;
+        recorder.clear();
+        sceneHistory.record('Reiniciar com semente', () => {
+            objectManager.clearAll();
+            physicsEngine.setDeterministic(seed);
+            spawnInitialObjects();
+        });
+    });
+
+    createPanelButton(section, '🎲 Modo livre', () => {
+        physicsEngine.setDeterministic(null);
+        document.getElementById('stateHash').textContent = '—';
+    });
+}
+
+function setupNumericsControls() {
+    const section = createPanelSection('🧮 Métodos numéricos');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label>Custo da física <span class="value" id="stepTimeValue">—</span></label>
+        <label>Desenho <span class="value" id="renderCostValue">—</span></label>
+        <label for="broadphaseType">Broadphase</label>
+        <select id="broadphaseType" class="panel-input">
+            ${Object.keys(BROADPHASE_TYPES).map(type =>
+                `<option value="${type}">${BROADPHASE_TYPES[type].label}</option>`
+            ).join('')}
+        </select>
+        <label for="solverIterations">Iterações do solver <span class="value" id="solverIterationsValue">10</span></label>
+        <input type="range" id="solverIterations" min="1" max="40" step="1" value="10">
+        <label for="timeStep">Passo de tempo</label>
+        <select id="timeStep" class="panel-input">
+            <option value="30">1/30 s</option>
+            <option value="60" selected>1/60 s</option>
+            <option value="120">1/120 s</option>
+            <option value="240">1/240 s</option>
+        </select>
+        <label for="maxSubSteps">Subpassos máximos por quadro <span class="value" id="maxSubStepsValue">3</span></label>
+        <input type="range" id="maxSubSteps" min="1" max="10" step="1" value="3">
+    `;
+    section.appendChild(group);
+
+    document.getElementById('broadphaseType').addEventListener('change', (e) => {
+        sceneHistory.record('Broadphase', () => physicsEngine.setBroadphase(e.target.value));
+    });
+
+    document.getElementById('solverIterations').addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10);
+        document.getElementById('solverIterationsValue').textContent = value;
+        sceneHistory.record('Iterações do solver', () => physicsEngine.setSolverIterations(value), 'solverIterations', 'settings');
+    });
+
+    document.getElementById('timeStep').addEventListener('change', (e) => {
+        sceneHistory.record('Passo de tempo', () => physicsEngine.setTimeStep(1 / parseFloat(e.target.value)));
+    });
+
+    document.getElementById('maxSubSteps').addEventListener('input', (e) => {
+        const value = parseInt(e.target.value, 10);
+        document.getElementById('maxSubStepsValue').textContent = value;
+        sceneHistory.record('Subpassos', () => physicsEngine.setTimeStep(physicsEngine.timeStep, value), 'maxSubSteps');
+    });
+
+    // Benchmark: live pile in the scene, or the same pile timed per broadphase
+    const bench = document.createElement('div');
+    bench.className = 'control-group';
+    bench.innerHTML = `
+        <label for="benchmarkCount">Corpos no benchmark</label>
+        <input type="number" id="benchmarkCount" class="panel-input" value="200" min="10" max="2000" step="10">
+    `;
+    section.appendChild(bench);
+
+    const getBenchmarkCount = () => Math.max(10, parseInt(document.getElementById('benchmarkCount').value, 10) || 200);
+
+    createPanelButton(section, '🚀 Gerar N corpos', () => {
+        recorder.clear();
+        sceneHistory.record('Gerar corpos', () => {
+            objectManager.clearAll();
+            benchmark.spawnBodies(getBenchmarkCount(), selectedMaterial);
+        });
+    });
+
+    // Stress test: all-pairs search is too slow for a thousand bodies
+    createPanelButton(section, '🌧️ 1000 esferas', () => {
+        recorder.clear();
+        sceneHistory.record('1000 esferas', () => {
+            objectManager.clearAll();
+            if (physicsEngine.broadphaseType === 'naive') {
+                physicsEngine.setBroadphase('sap');
+                document.getElementById('broadphaseType').value = 'sap';
+            }
+            benchmark.spawnBodies(1000, selectedMaterial, ['sphere']);
+        });
+    });
+
+    createPanelButton(section, '⏱️ Comparar broadphases', () => {
+        const results = benchmark.compareBroadphases(getBenchmarkCount());
+        document.getElementById('benchmarkResults').innerHTML = renderStatItems(
+            results.map(result => [result.label, `${result.msPerStep.toFixed(2)} ms/passo`])
+        );
+    });
+
+    const results = document.createElement('div');
+    results.className = 'stats';
+    results.id = 'benchmarkResults';
+    section.appendChild(results);
+
+    // Energy drift of each integrator on a pendulum
+    const chart = document.createElement('div');
+    chart.className = 'chart-box';
+    chart.innerHTML = '<canvas id="integratorChart"></canvas>';
+    section.appendChild(chart);
+
+    createPanelButton(section, '📉 Comparar integradores', () => showIntegratorComparison());
+
+    const drift = document.createElement('div');
+    drift.className = 'stats';
+    drift.id = 'integratorResults';
+    section.appendChild(drift);
+}
+
+// Pendulum released at 60°, same step as the engine
+function showIntegratorComparison() {
+    const results = compareIntegrators({ dt: physicsEngine.timeStep });
+    const palette = ['#ff6b6b', '#ffd93d', '#00d4ff', '#00ff88'];
+
+    if (integratorChart) {
+        integratorChart.destroy();
+    }
+
+    const ctx = document.getElementById('integratorChart').getContext('2d');
+    integratorChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: results.map((result, i) => ({
+                label: result.label,
+                data: result.time.map((t, j) => ({ x: t, y: result.drift[j] * 100 })),
+                borderColor: palette[i % palette.length],
+                backgroundColor: 'transparent',
+                pointRadius: 0,
+                borderWidth: 2,
+            })),
+        },
+        options: {
+            responsive: true, maintainAspectRatio: false, animation: false,
+            scales: {
+                x: { type: 'linear', ticks: { color: '#cbd5e1' }, title: { display: true, text: 'Tempo (s)', color: '#9ca3af' } },
+                y: { ticks: { color: '#cbd5e1' }, title: { display: true, text: 'Desvio de energia (%)', color: '#9ca3af' } }
+            },
+            plugins: { legend: { labels: { color: '#e6eef8' } } }
+        }
+    });
+
+    document.getElementById('integratorResults').innerHTML = renderStatItems(
+        results.map(result => [result.label, `${(result.maxDrift * 100).toPrecision(3)} % máx`])
+    );
+}
+
+function setPausedState(paused) {
+    isPaused = paused;
+    physicsEngine.setPaused(paused);
+    document.getElementById('togglePause').textContent = paused ? '▶️ Continuar' : '⏸️ Pausar';
+}
+
+function setupTimelineControls() {
+    const section = createPanelSection('⏱️ Linha do tempo');
+
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+        <label for="timeline">Replay <span class="value" id="timelineValue">ao vivo</span></label>
+        <input type="range" id="timeline" min="0" max="0" step="1" value="0">
+        <div class="timeline-buttons">
+            <button class="timeline-btn" id="timelineBack" title="Quadro anterior">⏮️</button>
+            <button class="timeline-btn" id="timelineForward" title="Próximo quadro">⏭️</button>
+            <button class="timeline-btn" id="timelineLive" title="Continuar daqui">▶️ Continuar daqui</button>
+        </div>
+    `;
+    section.appendChild(group);
+
+    const timeline = document.getElementById('timeline');
+
+    timeline.addEventListener('input', () => {
+        setPausedState(true);
+        recorder.seek(parseInt(timeline.value, 10));
+    });
+
+    document.getElementById('timelineBack').addEventListener('click', () => {
+        setPausedState(true);
+        recorder.stepBackward();
+    });
+
+    document.getElementById('timelineForward').addEventListener('click', () => {
+        setPausedState(true);
+        recorder.stepForward();
+    });
+
+    document.getElementById('timelineLive').addEventListener('click', () => {
+        recorder.resumeFromPlayhead();
+        setPausedState(false);
+    });
+}
+
+function updateTimeline() {
+    const timeline = document.getElementById('timeline');
+    const label = document.getElementById('timelineValue');
+
+    timeline.max = Math.max(0, recorder.length - 1);
+
+    if (recorder.isScrubbing()) {
+        timeline.value = recorder.playhead;
+        const frame = recorder.getFrame(recorder.playhead);
+        label.textContent = `t = ${frame.time.toFixed(2)} s`;
+    } else {
+        timeline.value = timeline.max;
+        label.textContent = `ao vivo (${recorder.getDuration().toFixed(1)} s)`;
+    }
+}
+
+function setupHistoryControls() {
+    const section = createPanelSection('↩️ Histórico');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'timeline-buttons';
+    buttons.innerHTML = `
+        <button class="timeline-btn" id="historyUndo" title="Desfazer (Ctrl+Z)">↩️ Desfazer</button>
+        <button class="timeline-btn" id="historyRedo" title="Refazer (Ctrl+Shift+Z)">↪️ Refazer</button>
+    `;
+    section.appendChild(buttons);
+
+    const list = document.createElement('div');
+    list.className = 'history-list';
+    list.id = 'historyList';
+    section.appendChild(list);
+
+    document.getElementById('historyUndo').addEventListener('click', () => undoEdit());
+    document.getElementById('historyRedo').addEventListener('click', () => redoEdit());
+
+    // Clicking an entry undoes or redoes up to it
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-history]');
+        if (!item) return;
+        const [stack, index] = item.dataset.history.split(':');
+        const steps = stack === 'undo'
+            ? sceneHistory.undoStack.length - 1 - parseInt(index, 10)
+            : sceneHistory.redoStack.length - parseInt(index, 10);
+        for (let i = 0; i < steps; i++) {
+            stack === 'undo' ? sceneHistory.undo() : sceneHistory.redo();
+        }
+        afterHistoryJump();
+    });
+
+    // Text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (e.target.closest && e.target.closest('input[type="text"], input[type="number"], textarea')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoEdit();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoEdit();
+        }
+    });
+
+    sceneHistory.addListener(() => refreshHistoryPanel());
+    refreshHistoryPanel();
+}
+
+function undoEdit() {
+    if (sceneHistory.undo()) afterHistoryJump();
+}
+
+function redoEdit() {
+    if (sceneHistory.redo()) afterHistoryJump();
+}
+
+// Sliders, editors and the inspector follow the restored scene
+function afterHistoryJump() {
+    syncControlsWithSettings();
+    selection.sync();
+    updateInspector();
+}
+
+// Newest first; undone entries stay listed (greyed) until a new edit
+function refreshHistoryPanel() {
+    const done = sceneHistory.undoStack.map((entry, i) => ({ entry, key: `undo:${i}`, undone: false }));
+    const undone = sceneHistory.redoStack.map((entry, i) => ({ entry, key: `redo:${i}`, undone: true }));
+    const items = [...done, ...undone.reverse()].reverse();
+
+    document.getElementById('historyList').innerHTML = items.length
+        ? items.map(({ entry, key, undone }) =>
+            `<div class="history-entry${undone ? ' undone' : ''}" data-history="${key}">${escapeHtml(entry.label)}</div>`
+        ).join('')
+        : '<div class="history-entry undone">Nenhuma alteração</div>';
+
+    document.getElementById('historyUndo').disabled = !sceneHistory.canUndo();
+    document.getElementById('historyRedo').disabled = !sceneHistory.canRedo();
+}
+
+function loadSceneFromHash() {
+    try {
+        if (sceneSerializer.loadFromHash()) {
+            syncControlsWithSettings();
+            return true;
+        }
+    } catch (error) {
+        console.warn('Cena do link inválida:', error);
+    }
+    return false;
+}
+
+// Reflect engine settings back into the sliders
+function syncControlsWithSettings() {
+    const settings = physicsEngine.settings;
+
+    document.getElementById('gravityY').value = settings.gravity.y;
+    document.getElementById('gravityYValue').textContent = settings.gravity.y.toFixed(1) + ' m/s²';
+
+    document.getElementById('restitution').value = settings.restitution;
+    document.getElementById('restitutionValue').textContent = settings.restitution.toFixed(2);
+
+    document.getElementById('friction').value = settings.friction;
+    document.getElementById('frictionValue').textContent = settings.friction.toFixed(2);
+
+    document.getElementById('broadphaseType').value = physicsEngine.broadphaseType;
+    document.getElementById('solverIterations').value = physicsEngine.getSolverIterations();
+    document.getElementById('solverIterationsValue').textContent = physicsEngine.getSolverIterations();
+    document.getElementById('timeStep').value = String(Math.round(1 / physicsEngine.timeStep));
+    document.getElementById('maxSubSteps').value = physicsEngine.maxSubSteps;
+    document.getElementById('maxSubStepsValue').textContent = physicsEngine.maxSubSteps;
+
+    const groundSize = physicsEngine.groundSize;
+    document.getElementById('groundSize').value = groundSize === null ? '' : String(groundSize);
+
+    // Structures were rebuilt by the load
+    const structures = objectManager.structures;
+    activeStructure = structures.length ? structures[structures.length - 1] : null;
+    refreshStructureEditor();
+
+    const fields = objectManager.forceFields;
+    activeForceField = fields.length ? fields[fields.length - 1] : null;
+    refreshForceFieldEditor();
+}
+
+function updateHint() {
+    const hint = document.getElementById('spawnHint');
+    const shapeName = selectedShape.charAt(0).toUpperCase() + selectedShape.slice(1);
+    hint.textContent = `Clique para adicionar ${shapeName} | Arraste para mover`;
 }
 
 function resetSimulation() {
-    objectManager.clearAll();
+    // One history entry, so the whole setup comes back with a single undo
+    sceneHistory.record('Reiniciar simulação', () => {
+        objectManager.clearAll();
 
-    // Reset gravity
-    document.getElementById('gravityY').value = -9.8;
-    document.getElementById('gravityYValue').textContent = '-9.8 m/s²';
-    physicsEngine.setGravity(0, -9.8, 0);
+        // Reset gravity and extra fields
+        setGravityY(-9.8);
+        objectManager.clearForceFields();
+        activeForceField = null;
+        refreshForceFieldEditor();
 
-    // Reset material properties
-    document.getElementById('restitution').value = 0.3;
-    document.getElementById('friction').value = 0.3;
-    document.getElementById('restitutionValue').textContent = '0.30';
-    document.getElementById('frictionValue').textContent = '0.30';
-    physicsEngine.updateMaterialProperties(0.3, 0.3);
+        // Reset material properties
+        document.getElementById('restitution').value = 0.3;
+        document.getElementById('friction').value = 0.3;
+        document.getElementById('restitutionValue').textContent = '0.30';
+        document.getElementById('frictionValue').textContent = '0.30';
+        physicsEngine.updateMaterialProperties(0.3, 0.3);
+    });
 
-    // Reset pause
+    // Reset pause and recording
+    recorder.clear();
+    collisionLog.clear();
+    motionTrails.clear();
     if (isPaused) {
-        isPaused = false;
-        physicsEngine.setPaused(false);
-        document.getElementById('togglePause').textContent = '⏸️ Pausar';
+        setPausedState(false);
     }
 
     // Reset camera
-    renderer.camera.position.set(15, 15, 15);
-    renderer.camera.lookAt(0, 0, 0);
-    renderer.controls.update();
+    renderer.setView('isometric');
 }
 
 function animate() {
@@ -168,12 +2000,40 @@ function animate() {
 
     // Update stats
     updateStats();
+    updateTimeline();
+    updateMeasurementPanel();
+    updateInspector();
+    updateCameraControls();
+
+    // Redrawing the chart every frame is wasteful, 4 times a second is enough
+    if (dataLogger.isLogging && performance.now() - lastChartUpdate > 250) {
+        lastChartUpdate = performance.now();
+        updateDataChart();
+    }
+
+    // A settling pile reports many contacts per frame, redraw the log once
+    if (collisionLogChanged) {
+        collisionLogChanged = false;
+        updateCollisionPanel();
+    }
 }
 
 function updateStats() {
     const renderStats = renderer.getStats();
     document.getElementById('fps').textContent = renderStats.fps;
     document.getElementById('objectCount').textContent = objectManager.getCount();
+
+    const physicsStats = physicsEngine.getStats();
+    document.getElementById('stepTimeValue').textContent =
+        `${renderStats.stepTime.toFixed(2)} ms/passo · ${physicsStats.stepTime.toFixed(1)} ms/quadro`;
+    document.getElementById('renderCostValue').textContent =
+        `${renderStats.drawCalls} chamadas · ${renderStats.triangles.toLocaleString('pt-BR')} triângulos`;
+
+    // Fingerprint lets two runs with the same seed be compared at a glance
+    if (physicsEngine.deterministic) {
+        document.getElementById('stateHash').textContent =
+            `passo ${physicsStats.stepCount} · ${physicsEngine.getStateHash()}`;
+    }
 }
 
 // Handle page visibility
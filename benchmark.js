@@ -0,0 +1,69 @@
+// ===================================
+// BENCHMARK - STEP TIME WITH N BODIES
+// ===================================
+
+class Benchmark {
+    constructor(physicsEngine, objectManager) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.bodySize = 1;
+    }
+
+    // Live mode: drop N bodies into the running scene, watch getStats().stepTime
+    spawnBodies(count, materialName = 'default', types = ['sphere', 'box']) {
+        return stackLayout(count, this.bodySize * 1.5).map((position, i) =>
+            this.objectManager.createObject(types[i % types.length], position, this.bodySize, materialName)
+        );
+    }
+
+    // Offline: the same pile on a fresh world for every broadphase.
+    // Blocks for a moment, keep count × steps reasonable.
+    compareBroadphases(count = 200, steps = 120) {
+        return Object.keys(BROADPHASE_TYPES).map(type => {
+            const engine = new PhysicsEngine();
+            engine.setBroadphase(type);
+            engine.setSolverIterations(this.physicsEngine.getSolverIterations());
+            engine.setDeterministic(1);
+
+            const half = this.bodySize / 2;
+            stackLayout(count, this.bodySize * 1.5).forEach((position, i) => {
+                const shape = i % 2 ? { type: 'box', size: this.bodySize } : { type: 'sphere', radius: half };
+                engine.createBody(shape, 1, position);
+            });
+
+            const start = performance.now();
+            engine.stepFixed(steps);
+            const elapsed = performance.now() - start;
+
+            return {
+                type,
+                label: BROADPHASE_TYPES[type].label,
+                msPerStep: elapsed / steps,
+                contacts: engine.world.contacts.length,
+            };
+        });
+    }
+}
+
+// Square layers stacked upwards, centred on the origin
+function stackLayout(count, spacing) {
+    const side = Math.max(1, Math.ceil(Math.sqrt(count / 4)));
+    const positions = [];
+
+    for (let i = 0; i < count; i++) {
+        const layer = Math.floor(i / (side * side));
+        const row = Math.floor(i / side) % side;
+        const column = i % side;
+        positions.push({
+            x: (column - (side - 1) / 2) * spacing,
+            y: 2 + layer * spacing,
+            z: (row - (side - 1) / 2) * spacing,
+        });
+    }
+    return positions;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Benchmark;
+}
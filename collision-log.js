@@ -0,0 +1,270 @@
+// ===================================
+// COLLISION LOG - IMPACTS & CONSERVATION
+// ===================================
+
+// Records every new contact between bodies or with the ground. Cannon
+// reports a contact before the solver runs, so the incoming velocities
+// are copied then and compared with the outgoing ones once the pair separates.
+class CollisionLog {
+    constructor(physicsEngine, objectManager, renderer = null) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        this.enabled = true;
+        this.showContacts = true;
+
+        // Oldest entries drop off past this
+        this.maxEntries = 200;
+
+        // Contacts closing slower than this (m/s) are resting jitter, not impacts
+        this.minSpeed = 0.1;
+
+        // A contact is measured once the pair separates, or after this many
+        // steps if it doesn't (something landing and staying put)
+        this.maxContactSteps = 10;
+
+        // { id, time, nameA, nameB, point, normal, approachSpeed, separationSpeed,
+        //   restitution, materialRestitution, impulse, conservation } newest last
+        this.entries = [];
+        this.entryId = 0;
+
+        // "idA|idB" -> contact still being resolved
+        this.pending = new Map();
+
+        this.listeners = [];
+
+        this.onContact = (contact) => this.capture(contact);
+        this.onStep = () => this.resolvePending();
+        this.physicsEngine.addContactListener(this.onContact);
+        this.physicsEngine.world.addEventListener('postStep', this.onStep);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.pending.clear();
+    }
+
+    // Incoming state of a new contact. A pair touching at several points
+    // (a box landing flat) is one impact at the middle of those points.
+    capture(contact) {
+        if (!this.enabled) return;
+
+        const bodyA = contact.bi;
+        const bodyB = contact.bj;
+        const point = bodyA.position.vadd(contact.ri);
+
+        const key = `${bodyA.id}|${bodyB.id}`;
+        const impact = this.pending.get(key);
+        if (impact) {
+            if (!impact.contactSteps) impact.points.push(point);
+            return;
+        }
+
+        const before = { a: snapshotBody(bodyA), b: snapshotBody(bodyB) };
+        if (closingSpeed(before, point, contact.ni) < this.minSpeed) {
+            return;
+        }
+
+        this.pending.set(key, {
+            // End of the step in which they touched
+            time: this.physicsEngine.time + this.physicsEngine.timeStep,
+            bodyA,
+            bodyB,
+            normal: contact.ni.clone(),
+            points: [point],
+            before,
+            after: null,
+            contactSteps: 0,
+        });
+    }
+
+    // The solver may need a few steps to push a pair apart, so the outgoing
+    // state is the one after the last step they were still touching
+    resolvePending() {
+        if (!this.pending.size) return;
+
+        const world = this.physicsEngine.world;
+        let added = false;
+        this.pending.forEach((impact, key) => {
+            const touching = world.collisionMatrix.get(impact.bodyA, impact.bodyB);
+            if (touching) {
+                impact.after = { a: snapshotBody(impact.bodyA), b: snapshotBody(impact.bodyB) };
+                impact.contactSteps++;
+                if (impact.contactSteps < this.maxContactSteps) return;
+            }
+
+            this.pending.delete(key);
+            this.addEntry(this.measure(impact));
+            added = true;
+        });
+
+        if (added) {
+            this.notify();
+        }
+    }
+
+    measure(impact) {
+        const { bodyA, bodyB, normal, before, after } = impact;
+
+        const point = new CANNON.Vec3();
+        impact.points.forEach(p => point.vadd(p, point));
+        point.scale(1 / impact.points.length, point);
+
+        const approachSpeed = closingSpeed(before, point, normal);
+        const separationSpeed = -closingSpeed(after, point, normal);
+
+        // Gravity acted during the contact too: take its share (g·Δt) out of
+        // the outgoing velocities so only the contact impulse is left
+        const dt = this.physicsEngine.timeStep * impact.contactSteps;
+        const g = this.physicsEngine.world.gravity;
+        const contactOnly = {
+            a: snapshotBody(bodyA, isDynamic(bodyA) ? g.scale(dt) : null, after.a),
+            b: snapshotBody(bodyB, isDynamic(bodyB) ? g.scale(dt) : null, after.b),
+        };
+
+        // Contact impulse from the momentum change along the normal,
+        // averaged over both bodies when both can move
+        const impulseA = -bodyA.mass * contactOnly.a.velocity.vsub(before.a.velocity).dot(normal);
+        const impulseB = bodyB.mass * contactOnly.b.velocity.vsub(before.b.velocity).dot(normal);
+        const impulse = isDynamic(bodyA) && isDynamic(bodyB) ? (impulseA + impulseB) / 2 : impulseA + impulseB;
+
+        return {
+            id: ++this.entryId,
+            time: impact.time,
+            nameA: this.describeBody(bodyA),
+            nameB: this.describeBody(bodyB),
+            point: { x: point.x, y: point.y, z: point.z },
+            normal: { x: normal.x, y: normal.y, z: normal.z },
+            approachSpeed,
+            separationSpeed,
+            restitution: separationSpeed / approachSpeed,
+            materialRestitution: this.getMaterialRestitution(bodyA, bodyB),
+            impulse,
+            conservation: isDynamic(bodyA) && isDynamic(bodyB)
+                ? compareTotals(bodyA, bodyB, before, contactOnly)
+                : null,
+        };
+    }
+
+    // What the pair's contact material asks for, to compare with the measured value
+    getMaterialRestitution(bodyA, bodyB) {
+        const world = this.physicsEngine.world;
+        const contact = bodyA.material && bodyB.material
+            ? world.getContactMaterial(bodyA.material, bodyB.material)
+            : null;
+        return (contact || world.defaultContactMaterial).restitution;
+    }
+
+    addEntry(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        if (this.renderer && this.showContacts) {
+            this.renderer.flashContact(entry.point, entry.approachSpeed);
+        }
+    }
+
+    // Name shown in the log: the object's name, the ground or a structure
+    describeBody(body) {
+        if (body === this.physicsEngine.groundBody) {
+            return 'Chão';
+        }
+        const obj = this.objectManager.objects.find(entry => entry.body === body);
+        if (obj) {
+            return this.objectManager.getObjectName(obj);
+        }
+        const structure = this.objectManager.structures.find(entry => entry.body === body);
+        if (structure) {
+            return STRUCTURE_TYPES[structure.kind].label;
+        }
+        return `Corpo #${body.id}`;
+    }
+
+    clear() {
+        this.entries = [];
+        this.pending.clear();
+        this.notify();
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    dispose() {
+        this.physicsEngine.removeContactListener(this.onContact);
+        this.physicsEngine.world.removeEventListener('postStep', this.onStep);
+    }
+}
+
+function isDynamic(body) {
+    return body.type === CANNON.Body.DYNAMIC;
+}
+
+// Copy of what a body carries into or out of a collision (or of an earlier
+// copy), optionally without a velocity change that didn't come from the contact
+function snapshotBody(body, removeVelocity = null, source = body) {
+    const velocity = source.velocity.clone();
+    if (removeVelocity) {
+        velocity.vsub(removeVelocity, velocity);
+    }
+    return {
+        position: source.position.clone(),
+        velocity,
+        angularVelocity: source.angularVelocity.clone(),
+    };
+}
+
+// v + ω × r at a world point
+function pointVelocity(state, point) {
+    const r = point.vsub(state.position);
+    return state.velocity.vadd(state.angularVelocity.cross(r));
+}
+
+// Relative velocity of a pair along the contact normal (A to B), positive = closing in
+function closingSpeed(state, point, normal) {
+    return pointVelocity(state.a, point).vsub(pointVelocity(state.b, point)).dot(normal);
+}
+
+// Total momentum and kinetic energy of a pair on both sides of a collision.
+// Momentum should hold up to solver error, energy drops with restitution.
+function compareTotals(bodyA, bodyB, before, after) {
+    const totals = (state) => {
+        const momentum = state.a.velocity.scale(bodyA.mass).vadd(state.b.velocity.scale(bodyB.mass));
+        const energy = pairKineticEnergy(bodyA, state.a) + pairKineticEnergy(bodyB, state.b);
+        return { momentum, energy };
+    };
+    const start = totals(before);
+    const end = totals(after);
+    const momentumBefore = start.momentum.length();
+
+    return {
+        momentumBefore,
+        momentumAfter: end.momentum.length(),
+        // Relative size of the change vector, not just of the magnitudes
+        momentumChange: momentumBefore > 1e-9 ? end.momentum.vsub(start.momentum).length() / momentumBefore : 0,
+        energyBefore: start.energy,
+        energyAfter: end.energy,
+        energyLoss: start.energy > 1e-9 ? 1 - end.energy / start.energy : 0,
+    };
+}
+
+// Translational plus rotational energy, inertia taken in the body frame
+function pairKineticEnergy(body, state) {
+    const v = state.velocity;
+    const localW = body.quaternion.conjugate().vmult(state.angularVelocity);
+    const I = body.inertia;
+    return 0.5 * body.mass * v.dot(v) +
+        0.5 * (I.x * localW.x * localW.x + I.y * localW.y * localW.y + I.z * localW.z * localW.z);
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollisionLog;
+}
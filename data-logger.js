@@ -0,0 +1,210 @@
+// ===================================
+// DATA LOGGER - TIME SERIES & EXPORT
+// ===================================
+
+// Quantities that can be sampled from a body
+const LOGGER_VARIABLES = {
+    x: { label: 'x', unit: 'm', read: (obj) => obj.body.position.x },
+    y: { label: 'y', unit: 'm', read: (obj) => obj.body.position.y },
+    z: { label: 'z', unit: 'm', read: (obj) => obj.body.position.z },
+    vx: { label: 'vx', unit: 'm/s', read: (obj) => obj.body.velocity.x },
+    vy: { label: 'vy', unit: 'm/s', read: (obj) => obj.body.velocity.y },
+    vz: { label: 'vz', unit: 'm/s', read: (obj) => obj.body.velocity.z },
+    speed: { label: '|v|', unit: 'm/s', read: (obj) => obj.body.velocity.length() },
+    height: { label: 'altura', unit: 'm', read: (obj) => obj.body.position.y },
+    kinetic: { label: 'Ec', unit: 'J', read: (obj, metrics) => metrics.getMetrics(obj).kineticEnergy },
+    potential: { label: 'Ep', unit: 'J', read: (obj, metrics) => metrics.getMetrics(obj).potentialEnergy },
+};
+
+class DataLogger {
+    constructor(physicsEngine, objectManager, measurements, maxSamples = 36000) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.measurements = measurements;
+        this.maxSamples = maxSamples; // 10 min at 60 Hz
+
+        // What is being sampled: { key, objectId, variable }
+        this.channels = [];
+
+        // Sampled data, series[key][i] pairs with time[i]
+        this.time = [];
+        this.series = {};
+        this.startTime = 0;
+
+        this.isLogging = false;
+        this.listeners = [];
+
+        this.onStep = () => this.sample();
+        this.physicsEngine.world.addEventListener('postStep', this.onStep);
+    }
+
+    addChannel(obj, variable) {
+        if (!LOGGER_VARIABLES[variable]) {
+            throw new Error(`Variável desconhecida: ${variable}`);
+        }
+
+        const key = `${variable}#${obj.id}`;
+        if (this.channels.some(channel => channel.key === key)) {
+            return key;
+        }
+
+        this.channels.push({ key, objectId: obj.id, variable, label: this.objectManager.getObjectName(obj) });
+
+        // Pad with nulls so every series lines up with the time axis
+        this.series[key] = new Array(this.time.length).fill(null);
+        return key;
+    }
+
+    removeChannel(key) {
+        this.channels = this.channels.filter(channel => channel.key !== key);
+        delete this.series[key];
+    }
+
+    start() {
+        if (this.time.length === 0) {
+            this.startTime = this.physicsEngine.time;
+        }
+        this.isLogging = true;
+    }
+
+    stop() {
+        this.isLogging = false;
+    }
+
+    clear() {
+        this.time = [];
+        Object.keys(this.series).forEach(key => {
+            this.series[key] = [];
+        });
+        this.startTime = this.physicsEngine.time;
+    }
+
+    // Called after every physics step
+    sample() {
+        if (!this.isLogging || this.channels.length === 0 || this.time.length >= this.maxSamples) {
+            return;
+        }
+
+        const t = this.physicsEngine.time - this.startTime;
+        this.time.push(t);
+
+        this.channels.forEach(channel => {
+            const obj = this.objectManager.objects.find(o => o.id === channel.objectId);
+            const value = obj ? LOGGER_VARIABLES[channel.variable].read(obj, this.measurements) : null;
+            this.series[channel.key].push(value);
+        });
+
+        this.listeners.forEach(listener => listener(t));
+    }
+
+    onSample(listener) {
+        this.listeners.push(listener);
+    }
+
+    getChannelLabel(channel) {
+        const variable = LOGGER_VARIABLES[channel.variable];
+        return `${variable.label} ${channel.label} (${variable.unit})`;
+    }
+
+    // Comma-separated table, one row per step
+    toCSV() {
+        const header = ['t (s)', ...this.channels.map(channel => this.getChannelLabel(channel))];
+        const rows = [header.map(csvField).join(',')];
+
+        this.time.forEach((t, i) => {
+            const values = this.channels.map(channel => {
+                const value = this.series[channel.key][i];
+                return value === null ? '' : value.toFixed(6);
+            });
+            rows.push([t.toFixed(6), ...values].join(','));
+        });
+
+        return rows.join('\n');
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            timeStep: this.physicsEngine.timeStep,
+            channels: this.channels.map(channel => ({
+                key: channel.key,
+                object: channel.label,
+                variable: channel.variable,
+                unit: LOGGER_VARIABLES[channel.variable].unit,
+            })),
+            time: this.time,
+            series: this.series,
+        }, null, 2);
+    }
+
+    download(format = 'csv') {
+        const text = format === 'json' ? this.toJSON() : this.toCSV();
+        const type = format === 'json' ? 'application/json' : 'text/csv';
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dados.${format}`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    // Least squares fit v(t) = a t² + b t + c over a channel
+    fitQuadratic(key) {
+        const values = this.series[key];
+        if (!values) return null;
+
+        const points = [];
+        this.time.forEach((t, i) => {
+            if (values[i] !== null) points.push([t, values[i]]);
+        });
+
+        return fitQuadratic(points);
+    }
+
+    dispose() {
+        this.physicsEngine.world.removeEventListener('postStep', this.onStep);
+    }
+}
+
+// Solve the 3×3 normal equations of a quadratic fit
+function fitQuadratic(points) {
+    if (points.length < 3) {
+        return null;
+    }
+
+    let s0 = 0, s1 = 0, s2 = 0, s3 = 0, s4 = 0;
+    let y0 = 0, y1 = 0, y2 = 0;
+    points.forEach(([t, y]) => {
+        const t2 = t * t;
+        s0 += 1; s1 += t; s2 += t2; s3 += t2 * t; s4 += t2 * t2;
+        y0 += y; y1 += y * t; y2 += y * t2;
+    });
+
+    // Cramer's rule on [[s4 s3 s2] [s3 s2 s1] [s2 s1 s0]] · [a b c] = [y2 y1 y0]
+    const det3 = (m) =>
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+    const M = [[s4, s3, s2], [s3, s2, s1], [s2, s1, s0]];
+    const D = det3(M);
+    if (Math.abs(D) < 1e-12) {
+        return null;
+    }
+
+    const a = det3([[y2, s3, s2], [y1, s2, s1], [y0, s1, s0]]) / D;
+    const b = det3([[s4, y2, s2], [s3, y1, s1], [s2, y0, s0]]) / D;
+    const c = det3([[s4, s3, y2], [s3, s2, y1], [s2, s1, y0]]) / D;
+    return { a, b, c };
+}
+
+function csvField(text) {
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataLogger, LOGGER_VARIABLES, fitQuadratic };
+}
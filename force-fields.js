@@ -0,0 +1,156 @@
+// ===================================
+// FORCE FIELDS - APPLIED EVERY STEP
+// ===================================
+
+// Each field type adds forces to the dynamic bodies before integration.
+// Vectors are plain {x, y, z}, SI units throughout.
+const FORCE_FIELD_TYPES = {
+    gravity: {
+        label: 'Gravitação mútua',
+        // Sandbox G (the real 6.67e-11 would be invisible at kg scale);
+        // softening keeps close passes from blowing up
+        defaults: { G: 1, softening: 0.5 },
+        labels: { G: 'G (N·m²/kg²)', softening: 'Suavização (m)' },
+        apply(params, bodies) {
+            const eps2 = params.softening * params.softening;
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    const a = bodies[i];
+                    const b = bodies[j];
+                    const dx = b.position.x - a.position.x;
+                    const dy = b.position.y - a.position.y;
+                    const dz = b.position.z - a.position.z;
+                    const r2 = dx * dx + dy * dy + dz * dz + eps2;
+                    const magnitude = params.G * a.mass * b.mass / r2;
+                    const scale = magnitude / Math.sqrt(r2);
+
+                    // Equal and opposite
+                    a.force.x += dx * scale; a.force.y += dy * scale; a.force.z += dz * scale;
+                    b.force.x -= dx * scale; b.force.y -= dy * scale; b.force.z -= dz * scale;
+                }
+            }
+        },
+    },
+
+    attractor: {
+        label: 'Atrator / repulsor',
+        // Negative strength repels. F = strength · m / r², inside radius only
+        defaults: { position: { x: 0, y: 8, z: 0 }, strength: 200, radius: 20 },
+        labels: { position: 'Posição (m)', strength: 'Intensidade (N·m²/kg)', radius: 'Alcance (m)' },
+        apply(params, bodies) {
+            const p = params.position;
+            bodies.forEach(body => {
+                const dx = p.x - body.position.x;
+                const dy = p.y - body.position.y;
+                const dz = p.z - body.position.z;
+                const r2 = Math.max(dx * dx + dy * dy + dz * dz, 0.25);
+                if (r2 > params.radius * params.radius) return;
+
+                const scale = params.strength * body.mass / (r2 * Math.sqrt(r2));
+                body.force.x += dx * scale;
+                body.force.y += dy * scale;
+                body.force.z += dz * scale;
+            });
+        },
+    },
+
+    wind: {
+        label: 'Vento',
+        // Drag relative to moving air, so light and broad bodies drift most
+        defaults: { velocity: { x: 8, y: 0, z: 0 }, density: 1.2, dragCoefficient: 1.0 },
+        labels: { velocity: 'Velocidade do ar (m/s)', density: 'Densidade do ar (kg/m³)', dragCoefficient: 'Coef. de arrasto' },
+        apply(params, bodies) {
+            bodies.forEach(body => applyQuadraticDrag(body, params.velocity, params.density, params.dragCoefficient));
+        },
+    },
+
+    drag: {
+        label: 'Resistência do ar',
+        defaults: { density: 1.2, dragCoefficient: 0.5 },
+        labels: { density: 'Densidade do ar (kg/m³)', dragCoefficient: 'Coef. de arrasto' },
+        apply(params, bodies) {
+            const still = { x: 0, y: 0, z: 0 };
+            bodies.forEach(body => applyQuadraticDrag(body, still, params.density, params.dragCoefficient));
+        },
+    },
+
+    buoyancy: {
+        label: 'Fluido (empuxo)',
+        // Axis-aligned fluid volume; surface is the top face
+        defaults: {
+            min: { x: -6, y: 0, z: -6 },
+            max: { x: 6, y: 5, z: 6 },
+            density: 1000,
+            viscosity: 2,
+        },
+        labels: {
+            min: 'Canto mínimo (m)',
+            max: 'Canto máximo (m)',
+            density: 'Densidade (kg/m³)',
+            viscosity: 'Amortecimento (1/s)',
+        },
+        apply(params, bodies, world) {
+            const g = world.gravity;
+            bodies.forEach(body => {
+                const p = body.position;
+                if (p.x < params.min.x || p.x > params.max.x || p.z < params.min.z || p.z > params.max.z) {
+                    return;
+                }
+
+                // Submerged share from the body's vertical extent
+                body.computeAABB();
+                const bottom = body.aabb.lowerBound.y;
+                const top = body.aabb.upperBound.y;
+                const height = Math.max(top - bottom, 1e-6);
+                const surface = params.max.y;
+                const submerged = Math.min(Math.max((surface - bottom) / height, 0), 1);
+                if (submerged === 0 || top < params.min.y) return;
+
+                // Archimedes: E = ρ · V_submerged · g, against gravity
+                const displaced = params.density * getBodyVolume(body) * submerged;
+                body.force.x -= displaced * g.x;
+                body.force.y -= displaced * g.y;
+                body.force.z -= displaced * g.z;
+
+                // Linear damping inside the fluid keeps floating bodies from bobbing forever
+                const damping = params.viscosity * body.mass * submerged;
+                body.force.x -= body.velocity.x * damping;
+                body.force.y -= body.velocity.y * damping;
+                body.force.z -= body.velocity.z * damping;
+            });
+        },
+    },
+};
+
+// F = ½ ρ C A |v_rel| v_rel, with A from the equivalent sphere
+function applyQuadraticDrag(body, airVelocity, density, dragCoefficient) {
+    const vx = body.velocity.x - airVelocity.x;
+    const vy = body.velocity.y - airVelocity.y;
+    const vz = body.velocity.z - airVelocity.z;
+    const speed = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    if (speed < 1e-6) return;
+
+    const scale = -0.5 * density * dragCoefficient * getCrossSection(body) * speed;
+    body.force.x += vx * scale;
+    body.force.y += vy * scale;
+    body.force.z += vz * scale;
+}
+
+// Volume in m³: set by ObjectManager, else the bounding sphere
+function getBodyVolume(body) {
+    if (body.volume === undefined) {
+        const r = body.boundingRadius;
+        body.volume = (4 / 3) * Math.PI * r * r * r;
+    }
+    return body.volume;
+}
+
+function getCrossSection(body) {
+    const radius = Math.cbrt(3 * getBodyVolume(body) / (4 * Math.PI));
+    return Math.PI * radius * radius;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FORCE_FIELD_TYPES;
+}
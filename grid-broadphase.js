@@ -0,0 +1,105 @@
+// ===================================
+// GRID BROADPHASE - SPATIAL HASHING
+// ===================================
+
+// CANNON.GridBroadphase in cannon.js 0.6.2 still reads body.shape and throws
+// with multi-shape bodies, so this one hashes world AABBs into cubic cells.
+// Bodies spanning too many cells (planes, big static slabs) are tested
+// against everything instead. Pairs are deduplicated here because
+// Broadphase.makePairsUnique() drops entries in that version.
+class GridBroadphase extends CANNON.Broadphase {
+    constructor(cellSize = 2, maxCellsPerBody = 64) {
+        super();
+        this.cellSize = cellSize;
+        this.maxCellsPerBody = maxCellsPerBody;
+        this.useBoundingBoxes = true;
+
+        // Reused between steps: hash -> bodies in that cell
+        this.cells = new Map();
+        this.seen = new Set();
+    }
+
+    collisionPairs(world, pairs1, pairs2) {
+        const cells = this.cells;
+        const size = this.cellSize;
+        const large = [];
+        this.seen.clear();
+
+        // Empty bins are kept for reuse until bodies have roamed too far
+        if (cells.size > 4096) {
+            cells.clear();
+        }
+        cells.forEach(bin => {
+            bin.length = 0;
+        });
+
+        world.bodies.forEach(body => {
+            if (body.aabbNeedsUpdate) {
+                body.computeAABB();
+            }
+
+            const lo = body.aabb.lowerBound;
+            const hi = body.aabb.upperBound;
+            const x0 = Math.floor(lo.x / size), x1 = Math.floor(hi.x / size);
+            const y0 = Math.floor(lo.y / size), y1 = Math.floor(hi.y / size);
+            const z0 = Math.floor(lo.z / size), z1 = Math.floor(hi.z / size);
+
+            const count = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+            if (!Number.isFinite(count) || count > this.maxCellsPerBody) {
+                large.push(body);
+                return;
+            }
+
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    for (let z = z0; z <= z1; z++) {
+                        const key = cellHash(x, y, z);
+                        let bin = cells.get(key);
+                        if (!bin) {
+                            bin = [];
+                            cells.set(key, bin);
+                        }
+                        bin.push(body);
+                    }
+                }
+            }
+        });
+
+        // Pairs sharing a cell (hash collisions only cost an extra AABB test)
+        cells.forEach(bin => {
+            for (let i = 1; i < bin.length; i++) {
+                for (let j = 0; j < i; j++) {
+                    this.testPair(bin[i], bin[j], pairs1, pairs2);
+                }
+            }
+        });
+
+        large.forEach((body, i) => {
+            world.bodies.forEach(other => {
+                // Large pairs only once
+                if (other === body || large.indexOf(other) > i) return;
+                this.testPair(body, other, pairs1, pairs2);
+            });
+        });
+    }
+
+    // Bodies sharing several cells meet more than once, test them once
+    testPair(bi, bj, pairs1, pairs2) {
+        const key = bi.id < bj.id ? bi.id * 4194304 + bj.id : bj.id * 4194304 + bi.id;
+        if (this.seen.has(key)) return;
+        this.seen.add(key);
+
+        if (this.needBroadphaseCollision(bi, bj)) {
+            this.intersectionTest(bi, bj, pairs1, pairs2);
+        }
+    }
+}
+
+function cellHash(x, y, z) {
+    return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) | 0;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GridBroadphase;
+}
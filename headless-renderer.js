@@ -0,0 +1,35 @@
+// ===================================
+// HEADLESS RENDERER - NO SCREEN
+// ===================================
+
+// Stands in for PhysicsRenderer where there is no canvas (Node.js, batch
+// runs). ObjectManager only needs a scene to hold its meshes and the visual
+// hooks below; here the scene is never drawn and the hooks do nothing.
+class HeadlessRenderer {
+    constructor() {
+        this.scene = new THREE.Scene();
+    }
+
+    createJointVisual() {
+        return null;
+    }
+
+    updateJointVisual() {}
+
+    removeJointVisual() {}
+
+    createForceFieldVisual() {
+        return null;
+    }
+
+    removeForceFieldVisual() {}
+
+    setGroundSize() {}
+
+    flashContact() {}
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadlessRenderer;
+}
@@ -0,0 +1,329 @@
+// ===================================
+// HEADLESS - RUN SCENES FROM NODE.JS
+// ===================================
+
+// Steps a saved scene (the file from "⬇️ Exportar cena") without a browser
+// and prints the body trajectories, or checks the physics core against
+// analytic results. Node must be able to find the cannon and three packages.
+//
+//   node headless.js cena.json [--steps 600] [--every 6] [--out trajetorias.csv]
+//   node headless.js --verify
+//   node headless.js --test
+//
+// --every samples one row per N steps, --out writes .csv or .json instead of
+// printing CSV. --verify and --test exit with code 1 when a check fails.
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// The sandbox files are browser scripts sharing globals; publish what
+// each one exports before anything is constructed
+function loadSandbox() {
+    const local = (file) => require(path.join(__dirname, file));
+
+    global.CANNON = require('cannon');
+    global.THREE = require('three');
+    // Custom convex objects need the hull builder, a CDN script in the browser
+    require('three/examples/js/math/ConvexHull.js');
+    Object.assign(global, local('materials.js'));
+    global.SeededRandom = local('seeded-random.js');
+    global.GridBroadphase = local('grid-broadphase.js');
+    global.FORCE_FIELD_TYPES = local('force-fields.js');
+    global.STRUCTURE_TYPES = local('structures.js');
+    global.InstanceBatch = local('instance-batch.js');
+
+    return {
+        PhysicsEngine: local('physics-engine.js'),
+        ObjectManager: local('objects.js'),
+        SceneSerializer: local('scene-serializer.js'),
+        HeadlessRenderer: local('headless-renderer.js'),
+        LabAPI: local('lab-api.js'),
+    };
+}
+
+// Engine, objects and serializer wired like app.js, minus the screen
+function createHeadlessScene(sandbox) {
+    const physicsEngine = new sandbox.PhysicsEngine();
+    const objectManager = new sandbox.ObjectManager(physicsEngine, new sandbox.HeadlessRenderer());
+    const sceneSerializer = new sandbox.SceneSerializer(physicsEngine, objectManager, null);
+    const lab = new sandbox.LabAPI(physicsEngine, objectManager);
+    return { physicsEngine, objectManager, sceneSerializer, lab };
+}
+
+// Fixed steps from the loaded state, one sample of every object per `every` steps
+function recordTrajectories(scene, steps, every) {
+    const { physicsEngine, objectManager } = scene;
+    const trajectories = objectManager.objects.map(obj => ({
+        id: obj.id,
+        name: objectManager.getObjectName(obj),
+        type: obj.type,
+        samples: [],
+    }));
+
+    const sample = () => {
+        objectManager.objects.forEach((obj, i) => {
+            const p = obj.body.position;
+            const v = obj.body.velocity;
+            trajectories[i].samples.push([physicsEngine.time, p.x, p.y, p.z, v.x, v.y, v.z]);
+        });
+    };
+
+    sample();
+    for (let step = 1; step <= steps; step++) {
+        physicsEngine.step();
+        if (step % every === 0) sample();
+    }
+    return trajectories;
+}
+
+function trajectoriesToCSV(trajectories) {
+    const rows = ['t (s),id,objeto,x (m),y (m),z (m),vx (m/s),vy (m/s),vz (m/s)'];
+    trajectories.forEach(trajectory => {
+        trajectory.samples.forEach(([t, ...values]) => {
+            rows.push([t.toFixed(6), trajectory.id, `"${trajectory.name}"`, ...values.map(value => value.toFixed(6))].join(','));
+        });
+    });
+    return rows.join('\n');
+}
+
+// Known results the engine should reproduce. Each run() builds its own
+// scene and returns { measured, expected, tolerance } (relative).
+const VERIFY_CASES = [
+    {
+        label: 'Queda livre: tempo para cair 10 m',
+        run(scene) {
+            const { physicsEngine, lab } = scene;
+            const h = 10;
+            lab.spawn({ name: 'esfera', type: 'sphere', size: 0.5, position: { y: h + 0.25 }, damping: 0 });
+
+            const time = stepUntilContact(physicsEngine, lab.getBody('esfera'), 600);
+            const g = -physicsEngine.settings.gravity.y;
+            return { measured: time, expected: Math.sqrt(2 * h / g), tolerance: 0.02 };
+        },
+    },
+    {
+        label: 'Quique: restituição pela altura (borracha)',
+        run(scene) {
+            const { physicsEngine, lab } = scene;
+            const h = 4;
+            const radius = 0.1;
+            lab.spawn({ name: 'bola', type: 'sphere', size: 2 * radius, material: 'rubber', position: { y: h + radius }, damping: 0 });
+            const body = lab.getBody('bola');
+
+            // Highest point between the first and the second bounce
+            stepUntilContact(physicsEngine, body, 600);
+            let peak = 0;
+            for (let i = 0; i < 600; i++) {
+                physicsEngine.step();
+                peak = Math.max(peak, body.position.y - radius);
+                if (body.velocity.y < 0 && body.position.y - radius < 0.01) break;
+            }
+
+            // h' = e² h. Cannon's SPOOK contact only aims for a separation
+            // speed of ((1 + e) · 12/13 - 1) v with relaxation 3 (≈ 0.71 for
+            // e = 0.85), and pushing the ball out of the ground adds back part
+            // of it, so at 60 Hz a rubber ball dropped from 4 m keeps ≈ 0.80.
+            const e = physicsEngine.getContactMaterial('rubber', 'ground').restitution;
+            return { measured: Math.sqrt(peak / h), expected: e, tolerance: 0.08 };
+        },
+    },
+    {
+        label: 'Atrito: distância de frenagem de um bloco a 5 m/s',
+        run(scene) {
+            const { physicsEngine, lab } = scene;
+            const v0 = 5;
+            lab.spawn({ name: 'bloco', type: 'box', size: 1, position: { y: 0.51 }, velocity: { x: v0 }, damping: 0 });
+            const body = lab.getBody('bloco');
+
+            // Friction only starts once it lands
+            stepUntilContact(physicsEngine, body, 60);
+            const start = body.position.x;
+            for (let i = 0; i < 600 && body.velocity.length() > 0.01; i++) {
+                physicsEngine.step();
+            }
+
+            // v0² = 2 μ g d
+            const mu = physicsEngine.getContactMaterial('default', 'ground').friction;
+            const g = -physicsEngine.settings.gravity.y;
+            return { measured: body.position.x - start, expected: v0 * v0 / (2 * mu * g), tolerance: 0.05 };
+        },
+    },
+];
+
+// Simulated time at which the body first touches the ground
+function stepUntilContact(physicsEngine, body, maxSteps) {
+    let time = null;
+    const listener = (contact) => {
+        const pair = [contact.bi, contact.bj];
+        if (time === null && pair.includes(body) && pair.includes(physicsEngine.groundBody)) {
+            time = physicsEngine.time + physicsEngine.timeStep;
+        }
+    };
+
+    physicsEngine.addContactListener(listener);
+    for (let i = 0; i < maxSteps && time === null; i++) {
+        physicsEngine.step();
+    }
+    physicsEngine.removeContactListener(listener);
+    return time;
+}
+
+function verify(sandbox) {
+    let failures = 0;
+    VERIFY_CASES.forEach(testCase => {
+        const { measured, expected, tolerance } = testCase.run(createHeadlessScene(sandbox));
+        const error = measured === null ? Infinity : Math.abs(measured - expected) / Math.abs(expected);
+        const ok = error <= tolerance;
+        if (!ok) failures++;
+
+        const shown = measured === null ? '—' : measured.toFixed(4);
+        console.log(`${ok ? 'ok  ' : 'FALHOU'} ${testCase.label}: ${shown} (esperado ${expected.toFixed(4)}, erro ${(error * 100).toFixed(1)} %, limite ${tolerance * 100} %)`);
+    });
+
+    console.log(`${VERIFY_CASES.length - failures}/${VERIFY_CASES.length} verificações passaram`);
+    return failures === 0;
+}
+
+// Regression tests for --test, each run() throws when it fails
+const TEST_CASES = [
+    {
+        label: 'Determinismo: mesma semente, mesmo estado',
+        run(sandbox) {
+            const hash = runSeededScene(sandbox, 42);
+            assert.strictEqual(runSeededScene(sandbox, 42), hash, 'a mesma semente deu estados diferentes');
+            assert.notStrictEqual(runSeededScene(sandbox, 7), hash, 'sementes diferentes deram o mesmo estado');
+        },
+    },
+    {
+        label: 'Cena: salvar e carregar de volta',
+        run(sandbox) {
+            const original = createHeadlessScene(sandbox);
+            buildSampleScene(original);
+            original.physicsEngine.stepFixed(30);
+            const saved = original.sceneSerializer.serialize();
+
+            const copy = createHeadlessScene(sandbox);
+            copy.sceneSerializer.loadJSON(JSON.stringify(saved));
+            const reloaded = copy.sceneSerializer.serialize();
+            delete saved.createdAt;
+            delete reloaded.createdAt;
+            assert.deepStrictEqual(reloaded, saved, 'a cena carregada difere da salva');
+
+            // Both copies must also keep moving the same way
+            original.physicsEngine.stepFixed(60);
+            copy.physicsEngine.stepFixed(60);
+            assert.strictEqual(copy.physicsEngine.getStateHash(), original.physicsEngine.getStateHash(), 'a cena carregada evolui diferente');
+        },
+    },
+];
+
+// Random objects from a seed, stepped for five seconds
+function runSeededScene(sandbox, seed) {
+    const { physicsEngine, objectManager } = createHeadlessScene(sandbox);
+    physicsEngine.setDeterministic(seed);
+    ['box', 'sphere', 'cylinder', 'cone', 'torus'].forEach(type => {
+        objectManager.spawnRandom(type);
+        objectManager.spawnRandom(type, 'rubber');
+    });
+    physicsEngine.stepFixed(300);
+    return physicsEngine.getStateHash();
+}
+
+// Custom shape for the round-trip test: a prism 1 m long, unit triangle ends
+const TRIANGULAR_PRISM = {
+    mode: 'convex',
+    positions: [0, 0.5, -0.5, -0.5, -0.5, -0.5, 0.5, -0.5, -0.5, 0, 0.5, 0.5, -0.5, -0.5, 0.5, 0.5, -0.5, 0.5],
+    indices: [0, 2, 1, 3, 4, 5, 0, 1, 4, 0, 4, 3, 1, 2, 5, 1, 5, 4, 2, 0, 3, 2, 3, 5],
+};
+
+// Something of every kind the serializer writes
+function buildSampleScene({ lab }) {
+    lab.applySettings({ gravity: -5, restitution: 0.5, friction: 0.2 });
+    lab.addStructure('ramp', { angle: 20 }, { x: -8, rotationY: 15 }, 'ice');
+    lab.addForceField('wind', { velocity: { x: 2, y: 0, z: 0 } });
+    lab.spawn({ name: 'caixa', type: 'box', size: 1, material: 'wood', position: { x: -8, y: 4 }, label: 'Caixa <1>' });
+    lab.spawn({ name: 'bola', type: 'sphere', size: 0.6, material: 'rubber', position: { y: 6 }, velocity: { x: 1 } });
+    lab.spawn({ name: 'peso', type: 'cylinder', size: 0.8, position: { x: 4, y: 5 }, mass: 3 });
+    lab.spawn({ name: 'base', type: 'cone', size: 1, position: { x: 8, y: 0.5 }, frozen: true });
+    lab.spawn({ name: 'prisma', type: 'custom', shape: TRIANGULAR_PRISM, material: 'plastic', position: { x: -3, y: 2 } });
+    lab.addJoint('spring', 'peso', null, { anchor: { x: 4, y: 8, z: 0 }, stiffness: 40, restLength: 2 });
+    lab.addJoint('rope', 'bola', 'caixa', { length: 4 });
+}
+
+function runTests(sandbox) {
+    let failures = 0;
+    TEST_CASES.forEach(testCase => {
+        try {
+            testCase.run(sandbox);
+            console.log(`ok   ${testCase.label}`);
+        } catch (error) {
+            failures++;
+            console.log(`FALHOU ${testCase.label}: ${error.message}`);
+        }
+    });
+
+    console.log(`${TEST_CASES.length - failures}/${TEST_CASES.length} testes passaram`);
+    return failures === 0;
+}
+
+function parseArguments(args) {
+    const options = { file: null, steps: 600, every: 1, out: null, verify: false, test: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--verify' || arg === '--test') {
+            options[arg.slice(2)] = true;
+        } else if (arg === '--steps' || arg === '--every') {
+            options[arg.slice(2)] = Math.max(1, parseInt(args[++i], 10) || 1);
+        } else if (arg === '--out') {
+            options.out = args[++i];
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const sandbox = loadSandbox();
+
+    if (options.verify) {
+        process.exitCode = verify(sandbox) ? 0 : 1;
+        return;
+    }
+    if (options.test) {
+        process.exitCode = runTests(sandbox) ? 0 : 1;
+        return;
+    }
+    if (!options.file) {
+        console.error('Uso: node headless.js cena.json [--steps N] [--every N] [--out arquivo.csv|.json]\n     node headless.js --verify\n     node headless.js --test');
+        process.exitCode = 1;
+        return;
+    }
+
+    const scene = createHeadlessScene(sandbox);
+    scene.sceneSerializer.loadJSON(fs.readFileSync(options.file, 'utf8'));
+    const trajectories = recordTrajectories(scene, options.steps, options.every);
+
+    if (!options.out) {
+        console.log(trajectoriesToCSV(trajectories));
+    } else if (options.out.endsWith('.json')) {
+        fs.writeFileSync(options.out, JSON.stringify({
+            timeStep: scene.physicsEngine.timeStep,
+            columns: ['t', 'x', 'y', 'z', 'vx', 'vy', 'vz'],
+            objects: trajectories,
+        }, null, 2));
+    } else {
+        fs.writeFileSync(options.out, trajectoriesToCSV(trajectories));
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { loadSandbox, createHeadlessScene, recordTrajectories, verify, runTests };
+}
@@ -0,0 +1,111 @@
+// ===================================
+// INSTANCE BATCH - ONE DRAW CALL PER SHAPE
+// ===================================
+
+// Draws every object sharing a geometry and material through a single
+// THREE.InstancedMesh. Objects keep an Object3D (obj.mesh) as their
+// transform; sync() copies those into the instance matrices.
+class InstanceBatch {
+    constructor(scene, geometry, material, capacity = 64) {
+        this.scene = scene;
+        this.geometry = geometry;
+        this.material = material;
+
+        // Instance index -> object, kept packed by swap-removal
+        this.objects = [];
+        this.mesh = this.createMesh(capacity);
+    }
+
+    createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        // Created up front, setColorAt() would size it by the current count
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        // Instances spread over the scene, the geometry's own bounds would cull them
+        mesh.frustumCulled = false;
+        mesh.count = this.objects.length;
+        mesh.userData.batch = this;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    add(obj, color) {
+        if (this.objects.length === this.mesh.instanceMatrix.count) {
+            this.grow();
+        }
+
+        const index = this.objects.length;
+        this.objects.push(obj);
+        this.mesh.count = this.objects.length;
+        this.setColor(obj, color, index);
+        this.writeMatrix(obj, index);
+    }
+
+    remove(obj) {
+        const index = this.objects.indexOf(obj);
+        if (index === -1) return;
+
+        // Move the last instance into the hole
+        const last = this.objects.length - 1;
+        if (index !== last) {
+            const moved = this.objects[last];
+            this.objects[index] = moved;
+            this.mesh.instanceColor.copyAt(index, this.mesh.instanceColor, last);
+            this.writeMatrix(moved, index);
+        }
+
+        this.objects.pop();
+        this.mesh.count = this.objects.length;
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    setColor(obj, color, index = this.objects.indexOf(obj)) {
+        this.mesh.setColorAt(index, new THREE.Color(color));
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    // Object behind a raycast hit on this batch
+    getObject(instanceId) {
+        return this.objects[instanceId] || null;
+    }
+
+    // Copy every transform, called once per frame
+    sync() {
+        this.objects.forEach((obj, i) => this.writeMatrix(obj, i));
+    }
+
+    writeMatrix(obj, index) {
+        const proxy = obj.mesh;
+        proxy.updateMatrix();
+
+        // Hidden objects (timeline scrubbing) collapse to nothing
+        if (!proxy.visible) {
+            proxy.matrix.makeScale(0, 0, 0);
+        }
+        this.mesh.setMatrixAt(index, proxy.matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    // Double the capacity, InstancedMesh buffers can't be resized
+    grow() {
+        const old = this.mesh;
+        this.scene.remove(old);
+        this.mesh = this.createMesh(old.instanceMatrix.count * 2);
+        this.mesh.instanceMatrix.array.set(old.instanceMatrix.array);
+        this.mesh.instanceColor.array.set(old.instanceColor.array);
+        old.dispose();
+    }
+
+    // Geometry and material are shared and owned by the ObjectManager
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstanceBatch;
+}
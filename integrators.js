@@ -0,0 +1,105 @@
+// ===================================
+// INTEGRATORS - NUMERICAL METHODS
+// ===================================
+
+// One step of each method for a 1-D system x'' = accel(x).
+// state = { x, v }, returns the next state. cannon.js itself uses
+// semi-implicit Euler.
+const INTEGRATORS = {
+    euler: {
+        label: 'Euler explícito',
+        step({ x, v }, accel, dt) {
+            return { x: x + v * dt, v: v + accel(x) * dt };
+        },
+    },
+
+    semiImplicitEuler: {
+        label: 'Euler semi-implícito',
+        step({ x, v }, accel, dt) {
+            const nextV = v + accel(x) * dt;
+            return { x: x + nextV * dt, v: nextV };
+        },
+    },
+
+    verlet: {
+        label: 'Verlet (velocidade)',
+        step({ x, v }, accel, dt) {
+            const a = accel(x);
+            const nextX = x + v * dt + 0.5 * a * dt * dt;
+            return { x: nextX, v: v + 0.5 * (a + accel(nextX)) * dt };
+        },
+    },
+
+    rk4: {
+        label: 'Runge-Kutta 4',
+        step({ x, v }, accel, dt) {
+            const k1x = v;
+            const k1v = accel(x);
+            const k2x = v + 0.5 * dt * k1v;
+            const k2v = accel(x + 0.5 * dt * k1x);
+            const k3x = v + 0.5 * dt * k2v;
+            const k3v = accel(x + 0.5 * dt * k2x);
+            const k4x = v + dt * k3v;
+            const k4v = accel(x + dt * k3x);
+            return {
+                x: x + dt / 6 * (k1x + 2 * k2x + 2 * k3x + k4x),
+                v: v + dt / 6 * (k1v + 2 * k2v + 2 * k3v + k4v),
+            };
+        },
+    },
+};
+
+// Reference problem: simple pendulum released from rest at angle0 (deg).
+// Returns the relative energy drift (E - E0) / E0 of every method over time.
+function compareIntegrators(options = {}) {
+    const {
+        dt = 1 / 60,
+        duration = 20,
+        angle0 = 60,
+        length = 2,
+        gravity = 9.8,
+        maxSamples = 400,
+    } = options;
+
+    const accel = (theta) => -(gravity / length) * Math.sin(theta);
+    const energy = ({ x, v }) => 0.5 * length * length * v * v + gravity * length * (1 - Math.cos(x));
+
+    const steps = Math.round(duration / dt);
+    const stride = Math.max(1, Math.ceil(steps / maxSamples));
+    const initial = { x: angle0 * Math.PI / 180, v: 0 };
+    const e0 = energy(initial);
+
+    return Object.keys(INTEGRATORS).map(key => {
+        const method = INTEGRATORS[key];
+        const time = [0];
+        const drift = [0];
+        let state = initial;
+        let maxDrift = 0;
+
+        const start = performance.now();
+        for (let i = 1; i <= steps; i++) {
+            state = method.step(state, accel, dt);
+            const relative = (energy(state) - e0) / e0;
+            maxDrift = Math.max(maxDrift, Math.abs(relative));
+            if (i % stride === 0) {
+                time.push(i * dt);
+                drift.push(relative);
+            }
+        }
+
+        return {
+            key,
+            label: method.label,
+            time,
+            drift,
+            finalDrift: drift[drift.length - 1],
+            maxDrift,
+            elapsed: performance.now() - start,
+        };
+    });
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INTEGRATORS, compareIntegrators };
+}
@@ -0,0 +1,229 @@
+// ===================================
+// LAB API - SCRIPTING THE SANDBOX
+// ===================================
+
+// Small facade over PhysicsEngine and ObjectManager for scenario files
+// and the browser console. Objects are addressed by name, vectors are
+// plain {x, y, z} objects, angles are in degrees and times in seconds.
+class LabAPI {
+    constructor(physicsEngine, objectManager, renderer = null) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        // name -> object created by spawn()
+        this.named = new Map();
+
+        // object -> where it was spawned, for distance readings
+        this.origins = new Map();
+    }
+
+    // Empty scene with the default settings
+    reset() {
+        this.objectManager.clearAll();
+        this.objectManager.clearStructures();
+        this.objectManager.clearForceFields();
+        this.named.clear();
+        this.origins.clear();
+
+        this.applySettings({ gravity: -9.8, restitution: 0.3, friction: 0.3, groundSize: null });
+    }
+
+    // { gravity: number (y) or {x, y, z}, restitution, friction, groundSize }
+    applySettings(settings = {}) {
+        const engine = this.physicsEngine;
+
+        if (settings.gravity !== undefined) {
+            const g = typeof settings.gravity === 'number' ? { x: 0, y: settings.gravity, z: 0 } : settings.gravity;
+            engine.setGravity(g.x || 0, g.y || 0, g.z || 0);
+        }
+
+        if (settings.restitution !== undefined || settings.friction !== undefined) {
+            engine.updateMaterialProperties(
+                settings.restitution !== undefined ? settings.restitution : engine.settings.restitution,
+                settings.friction !== undefined ? settings.friction : engine.settings.friction
+            );
+        }
+
+        if (settings.groundSize !== undefined && settings.groundSize !== engine.groundSize) {
+            engine.setGroundSize(settings.groundSize);
+            if (this.renderer) {
+                this.renderer.setGroundSize(settings.groundSize || 50);
+            }
+        }
+    }
+
+    // Create an object from a spec:
+    // { name, type, size, material, position, rotation (deg), velocity,
+    //   angularVelocity, mass, color, label, damping, frozen }
+    // type 'custom' takes shape: { mode: 'convex' | 'trimesh', positions,
+    // indices } instead of size (flat arrays, as in BufferGeometry).
+    // Unlike free play, objects start without a random spin.
+    spawn(spec) {
+        this.checkSpec(spec);
+
+        const objects = this.objectManager;
+        const position = { x: 0, y: 0, z: 0, ...spec.position };
+        const materialName = spec.material || 'default';
+        let obj;
+        if (spec.type === 'custom') {
+            const mode = spec.shape.mode === 'trimesh' ? 'trimesh' : 'convex';
+            obj = objects.createCustomObject(objects.createGeometry(spec.shape), position, { mode, material: materialName });
+        } else {
+            obj = objects.createObject(spec.type, position, spec.size || 1, materialName);
+        }
+
+        const body = obj.body;
+        const velocity = { x: 0, y: 0, z: 0, ...spec.velocity };
+        const angularVelocity = { x: 0, y: 0, z: 0, ...spec.angularVelocity };
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.angularVelocity.set(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+
+        if (spec.rotation) {
+            const r = spec.rotation;
+            const toRad = Math.PI / 180;
+            body.quaternion.setFromEuler((r.x || 0) * toRad, (r.y || 0) * toRad, (r.z || 0) * toRad);
+        }
+        if (spec.damping !== undefined) {
+            body.linearDamping = spec.damping;
+            body.angularDamping = spec.damping;
+        }
+        if (spec.mass !== undefined) {
+            this.objectManager.setObjectMass(obj, spec.mass);
+        }
+        if (spec.color !== undefined) {
+            this.objectManager.setObjectColor(obj, spec.color);
+        }
+        obj.label = spec.label || spec.name || '';
+        if (spec.frozen) {
+            this.objectManager.setObjectFrozen(obj, true);
+        }
+
+        this.origins.set(obj, { x: body.position.x, y: body.position.y, z: body.position.z });
+
+        if (spec.name) {
+            this.named.set(spec.name, obj);
+        }
+        return obj;
+    }
+
+    // Throw the error spawn() would for this spec, without touching the scene
+    checkSpec(spec) {
+        if (spec.type === 'custom') {
+            const shape = spec.shape || {};
+            if (!Array.isArray(shape.positions) || shape.positions.length < 12 || shape.positions.length % 3 !== 0) {
+                throw new Error('Objeto personalizado precisa de shape.positions (x, y, z de 4 vértices ou mais)');
+            }
+        } else if (!this.objectManager.getBodyShape(spec.type, 1)) {
+            throw new Error(`Tipo de objeto desconhecido: ${spec.type}`);
+        }
+    }
+
+    addStructure(kind, params = {}, transform = {}, materialName = 'default') {
+        return this.objectManager.createStructure(kind, params, transform, materialName);
+    }
+
+    addForceField(type, params = {}) {
+        return this.objectManager.addForceField(type, params);
+    }
+
+    // Join two named objects, b = null ties a to options.anchor
+    addJoint(type, a, b = null, options = {}) {
+        return this.objectManager.addJoint(type, this.get(a), b === null ? null : this.get(b), options);
+    }
+
+    setCamera(position, target = { x: 0, y: 0, z: 0 }) {
+        if (!this.renderer) return;
+        this.renderer.camera.position.set(position.x, position.y, position.z);
+        this.renderer.controls.target.set(target.x, target.y, target.z);
+        this.renderer.controls.update();
+    }
+
+    // Named object, or the object itself when one is passed in
+    get(name) {
+        if (typeof name === 'object' && name !== null) {
+            return name;
+        }
+        const obj = this.named.get(name);
+        if (!obj || !this.objectManager.objects.includes(obj)) {
+            throw new Error(`Objeto não encontrado: ${name}`);
+        }
+        return obj;
+    }
+
+    has(name) {
+        return this.named.has(name) && this.objectManager.objects.includes(this.named.get(name));
+    }
+
+    // Body to listen on: a named object, or 'ground'
+    getBody(name) {
+        return name === 'ground' ? this.physicsEngine.groundBody : this.get(name).body;
+    }
+
+    // Simulated time in seconds
+    getTime() {
+        return this.physicsEngine.time;
+    }
+
+    // One reading of an object: x, y, z, vx, vy, vz, speed, or distance
+    // (horizontal, from where it was spawned)
+    measure(name, quantity) {
+        const obj = this.get(name);
+        const p = obj.body.position;
+        const v = obj.body.velocity;
+
+        switch (quantity) {
+            case 'x': return p.x;
+            case 'y': case 'height': return p.y;
+            case 'z': return p.z;
+            case 'vx': return v.x;
+            case 'vy': return v.y;
+            case 'vz': return v.z;
+            case 'speed': return v.length();
+            case 'distance': {
+                const start = this.origins.get(obj) || { x: 0, z: 0 };
+                return Math.hypot(p.x - start.x, p.z - start.z);
+            }
+            default:
+                throw new Error(`Grandeza desconhecida: ${quantity}`);
+        }
+    }
+
+    // Run fn(lab) after every physics step, returns an unsubscribe function
+    onStep(fn) {
+        const listener = () => fn(this);
+        this.physicsEngine.world.addEventListener('postStep', listener);
+        return () => this.physicsEngine.world.removeEventListener('postStep', listener);
+    }
+
+    // Run fn(lab) when two bodies start touching ('ground' for the floor),
+    // returns an unsubscribe function
+    onCollision(a, b, fn) {
+        const bodyA = this.getBody(a);
+        const bodyB = this.getBody(b);
+        // Removed bodies are pooled and may come back as another object
+        const current = (name) => name === 'ground' || this.has(name) ? this.getBody(name) : null;
+        const listener = (event) => {
+            if (event.body === bodyB && current(a) === bodyA && current(b) === bodyB) fn(this);
+        };
+        bodyA.addEventListener('collide', listener);
+        return () => bodyA.removeEventListener('collide', listener);
+    }
+
+    pause() {
+        this.physicsEngine.setPaused(true);
+    }
+
+    resume() {
+        this.physicsEngine.setPaused(false);
+    }
+
+    isPaused() {
+        return this.physicsEngine.isPaused;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LabAPI;
+}
@@ -0,0 +1,114 @@
+// ===================================
+// MATERIAL LIBRARY
+// ===================================
+
+// Density in kg/m³. A null density keeps the fixed default mass.
+const MATERIAL_PRESETS = {
+    default: {
+        label: 'Padrão',
+        density: null,
+        friction: 0.3,
+        restitution: 0.3,
+        color: null, // keep the shape color
+        metalness: 0.3,
+        roughness: 0.6,
+    },
+    rubber: {
+        label: 'Borracha',
+        density: 1100,
+        friction: 0.9,
+        restitution: 0.85,
+        color: 0x2b2b2b,
+        metalness: 0.0,
+        roughness: 0.9,
+    },
+    steel: {
+        label: 'Aço',
+        density: 7850,
+        friction: 0.4,
+        restitution: 0.6,
+        color: 0xb8c2cc,
+        metalness: 0.9,
+        roughness: 0.25,
+    },
+    wood: {
+        label: 'Madeira',
+        density: 700,
+        friction: 0.5,
+        restitution: 0.4,
+        color: 0xa0703c,
+        metalness: 0.0,
+        roughness: 0.8,
+    },
+    ice: {
+        label: 'Gelo',
+        density: 917,
+        friction: 0.03,
+        restitution: 0.1,
+        color: 0xbfe9ff,
+        metalness: 0.1,
+        roughness: 0.05,
+        opacity: 0.7,
+    },
+    plastic: {
+        label: 'Plástico',
+        density: 950,
+        friction: 0.35,
+        restitution: 0.5,
+        color: 0xff8c42,
+        metalness: 0.1,
+        roughness: 0.4,
+    },
+    ground: {
+        label: 'Chão',
+        density: null,
+        friction: 0.3,
+        restitution: 0.3,
+        color: null,
+        metalness: 0.0,
+        roughness: 1.0,
+    },
+};
+
+class MaterialLibrary {
+    constructor(presets = MATERIAL_PRESETS) {
+        // Copy so runtime edits don't leak into the presets
+        this.definitions = {};
+        Object.keys(presets).forEach(name => {
+            this.definitions[name] = { ...presets[name] };
+        });
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.definitions, name);
+    }
+
+    get(name) {
+        return this.definitions[name] || this.definitions.default;
+    }
+
+    // Materials offered to the user (ground is internal)
+    getNames() {
+        return Object.keys(this.definitions).filter(name => name !== 'ground');
+    }
+
+    update(name, properties) {
+        Object.assign(this.get(name), properties);
+    }
+
+    // Contact properties for a pair: friction is the geometric mean,
+    // restitution takes the bouncier surface
+    combine(nameA, nameB) {
+        const a = this.get(nameA);
+        const b = this.get(nameB);
+        return {
+            friction: Math.sqrt(a.friction * b.friction),
+            restitution: Math.max(a.restitution, b.restitution),
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MaterialLibrary, MATERIAL_PRESETS };
+}
@@ -0,0 +1,232 @@
+// ===================================
+// MEASUREMENTS - VECTORS & ENERGY
+// ===================================
+
+class MeasurementOverlay {
+    constructor(physicsEngine, objectManager, renderer) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        // Which vectors are drawn
+        this.show = {
+            velocity: false,
+            acceleration: false,
+            force: false,
+        };
+
+        // Arrow lengths per unit (m/s, m/s², decade of N). Masses run from
+        // a few kg to tonnes, so force arrows grow with log10(1 + |F|/1 N):
+        // 1 N → 0.15 m, 50 N → 0.85 m, 50 kN → 2.35 m
+        this.scales = {
+            velocity: 0.5,
+            acceleration: 0.2,
+            force: 0.5,
+        };
+
+        this.colors = {
+            velocity: 0x00d4ff,
+            acceleration: 0xffd93d,
+            force: 0xff6b6b,
+        };
+
+        // id -> { velocity, acceleration, force } arrow helpers
+        this.arrows = new Map();
+
+        // id -> { previousVelocity, acceleration } measured each step
+        this.kinematics = new Map();
+
+        this.onStep = () => this.measureAccelerations();
+        this.physicsEngine.world.addEventListener('postStep', this.onStep);
+    }
+
+    // Finite difference of velocity over the last physics step
+    measureAccelerations() {
+        const dt = this.physicsEngine.timeStep;
+
+        this.objectManager.objects.forEach(obj => {
+            const v = obj.body.velocity;
+            let data = this.kinematics.get(obj.id);
+
+            if (!data) {
+                data = {
+                    previousVelocity: new CANNON.Vec3().copy(v),
+                    acceleration: new CANNON.Vec3(),
+                };
+                this.kinematics.set(obj.id, data);
+                return;
+            }
+
+            data.acceleration.set(
+                (v.x - data.previousVelocity.x) / dt,
+                (v.y - data.previousVelocity.y) / dt,
+                (v.z - data.previousVelocity.z) / dt
+            );
+            data.previousVelocity.copy(v);
+        });
+    }
+
+    getAcceleration(obj) {
+        const data = this.kinematics.get(obj.id);
+        return data ? data.acceleration : new CANNON.Vec3();
+    }
+
+    // Physical quantities of one object
+    getMetrics(obj) {
+        const body = obj.body;
+        const g = this.physicsEngine.settings.gravity;
+        const v = body.velocity;
+        const w = body.angularVelocity;
+        const a = this.getAcceleration(obj);
+        const m = body.mass;
+
+        // Rotational energy with the principal inertia (local frame)
+        const localW = body.quaternion.conjugate().vmult(w);
+        const I = body.inertia;
+        const rotational = 0.5 * (I.x * localW.x * localW.x + I.y * localW.y * localW.y + I.z * localW.z * localW.z);
+
+        const speed = v.length();
+        const kinetic = 0.5 * m * speed * speed + rotational;
+
+        // U = -m g·r, zero at the origin (ground level for vertical gravity)
+        const potential = -m * (g.x * body.position.x + g.y * body.position.y + g.z * body.position.z);
+
+        return {
+            mass: m,
+            height: body.position.y,
+            speed: speed,
+            momentum: { x: m * v.x, y: m * v.y, z: m * v.z },
+            momentumMagnitude: m * speed,
+            acceleration: { x: a.x, y: a.y, z: a.z },
+            netForce: { x: m * a.x, y: m * a.y, z: m * a.z },
+            kineticEnergy: kinetic,
+            rotationalEnergy: rotational,
+            potentialEnergy: potential,
+            mechanicalEnergy: kinetic + potential,
+        };
+    }
+
+    // Sums over every object in the scene
+    getTotals() {
+        const totals = {
+            kineticEnergy: 0,
+            potentialEnergy: 0,
+            mechanicalEnergy: 0,
+            momentum: { x: 0, y: 0, z: 0 },
+            momentumMagnitude: 0,
+        };
+
+        this.objectManager.objects.forEach(obj => {
+            const metrics = this.getMetrics(obj);
+            totals.kineticEnergy += metrics.kineticEnergy;
+            totals.potentialEnergy += metrics.potentialEnergy;
+            totals.momentum.x += metrics.momentum.x;
+            totals.momentum.y += metrics.momentum.y;
+            totals.momentum.z += metrics.momentum.z;
+        });
+
+        const p = totals.momentum;
+        totals.mechanicalEnergy = totals.kineticEnergy + totals.potentialEnergy;
+        totals.momentumMagnitude = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+        return totals;
+    }
+
+    setVisible(kind, visible) {
+        this.show[kind] = visible;
+        this.arrows.forEach(set => {
+            set[kind].visible = visible;
+        });
+    }
+
+    // Keep arrows on top of their bodies, called from ObjectManager.update()
+    sync() {
+        const anyVisible = this.show.velocity || this.show.acceleration || this.show.force;
+        const alive = new Set();
+
+        this.objectManager.objects.forEach(obj => {
+            alive.add(obj.id);
+            if (!anyVisible) return;
+
+            const set = this.arrows.get(obj.id) || this.createArrows(obj);
+            const origin = obj.mesh.position;
+            const a = this.getAcceleration(obj);
+            const force = a.scale(obj.body.mass);
+            const magnitude = force.length();
+
+            this.updateArrow(set.velocity, origin, obj.body.velocity, this.scales.velocity);
+            this.updateArrow(set.acceleration, origin, a, this.scales.acceleration);
+            // F = m a, so a heavier body with the same acceleration gets a longer arrow
+            const forceScale = magnitude > 0 ? this.scales.force * Math.log10(1 + magnitude) / magnitude : 0;
+            this.updateArrow(set.force, origin, force, forceScale);
+        });
+
+        // Drop arrows of removed objects
+        this.arrows.forEach((set, id) => {
+            if (!alive.has(id)) {
+                this.removeArrows(id);
+            }
+        });
+        this.kinematics.forEach((data, id) => {
+            if (!alive.has(id)) {
+                this.kinematics.delete(id);
+            }
+        });
+    }
+
+    createArrows(obj) {
+        const set = {};
+        Object.keys(this.colors).forEach(kind => {
+            const arrow = new THREE.ArrowHelper(
+                new THREE.Vector3(0, 1, 0),
+                new THREE.Vector3(),
+                1,
+                this.colors[kind]
+            );
+            arrow.visible = this.show[kind];
+            this.renderer.scene.add(arrow);
+            set[kind] = arrow;
+        });
+
+        this.arrows.set(obj.id, set);
+        return set;
+    }
+
+    updateArrow(arrow, origin, vector, scale) {
+        if (!arrow.visible) return;
+
+        const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z) * scale;
+        arrow.position.copy(origin);
+
+        // Hide arrows too short to read
+        if (length < 0.05) {
+            arrow.scale.setScalar(0.0001);
+            return;
+        }
+
+        arrow.scale.setScalar(1);
+        arrow.setDirection(new THREE.Vector3(vector.x, vector.y, vector.z).normalize());
+        arrow.setLength(length, Math.min(0.4, length * 0.3), Math.min(0.25, length * 0.2));
+    }
+
+    removeArrows(id) {
+        const set = this.arrows.get(id);
+        Object.values(set).forEach(arrow => {
+            this.renderer.scene.remove(arrow);
+            arrow.line.geometry.dispose();
+            arrow.line.material.dispose();
+            arrow.cone.geometry.dispose();
+            arrow.cone.material.dispose();
+        });
+        this.arrows.delete(id);
+    }
+
+    dispose() {
+        [...this.arrows.keys()].forEach(id => this.removeArrows(id));
+        this.physicsEngine.world.removeEventListener('postStep', this.onStep);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasurementOverlay;
+}
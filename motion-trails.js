@@ -0,0 +1,271 @@
+// ===================================
+// MOTION TRAILS - TRAILS & STROBOSCOPE
+// ===================================
+
+// Fading trails behind moving objects and stroboscopic copies left at a
+// fixed interval of simulated time, like a multiflash photo. Both sample
+// after each physics step, so pausing or changing the time scale doesn't
+// change the spacing.
+class MotionTrails {
+    constructor(physicsEngine, objectManager, renderer) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        // Objects to draw for, null = all of them
+        this.filter = null;
+
+        // Trails: length in seconds, one point per sampleInterval
+        this.showTrails = false;
+        this.trailLength = 3;
+        this.sampleInterval = 1 / 30;
+        this.nextSample = 0;
+        this.lastTime = physicsEngine.time;
+
+        // id -> { line, positions, colors, count, color, changed }
+        this.trails = new Map();
+
+        // Trails fade into the scene background
+        this.fadeColor = new THREE.Color(0x0f1419);
+
+        // Stroboscope: a copy of every object each strobeInterval seconds,
+        // labelled with the time since the stroboscope was switched on
+        this.strobe = false;
+        this.strobeInterval = 0.1;
+        this.strobeStart = 0;
+        this.nextFlash = 0;
+        this.showTimes = true;
+
+        // { mesh, label } oldest first, capped so long runs stay light
+        this.ghosts = [];
+        this.maxGhosts = 300;
+        this.ghostOpacity = 0.35;
+        this.ghostMaterials = new Map(); // color -> material
+
+        this.onStep = () => this.sample();
+        this.physicsEngine.world.addEventListener('postStep', this.onStep);
+    }
+
+    setTrailsVisible(visible) {
+        this.showTrails = visible;
+        if (!visible) {
+            this.clearTrails();
+        }
+    }
+
+    // Buffers are sized by length, so trails start over
+    setTrailLength(seconds) {
+        this.trailLength = seconds;
+        this.clearTrails();
+    }
+
+    setStrobe(enabled) {
+        this.strobe = enabled;
+        this.strobeStart = this.physicsEngine.time;
+        this.nextFlash = this.strobeStart;
+    }
+
+    setStrobeInterval(seconds) {
+        this.strobeInterval = seconds;
+        this.nextFlash = this.physicsEngine.time;
+    }
+
+    setTimesVisible(visible) {
+        this.showTimes = visible;
+        this.ghosts.forEach(ghost => {
+            if (ghost.label) ghost.label.visible = visible;
+        });
+    }
+
+    getTrackedObjects() {
+        const objects = this.objectManager.objects;
+        return this.filter ? objects.filter(this.filter) : objects;
+    }
+
+    sample() {
+        const time = this.physicsEngine.time;
+        const epsilon = 1e-9;
+
+        // Clock went back (replay, reseed): what was drawn is now the future
+        if (time < this.lastTime) {
+            this.clear();
+            this.nextSample = time;
+        }
+        this.lastTime = time;
+
+        if (this.showTrails && time >= this.nextSample - epsilon) {
+            this.nextSample = time + this.sampleInterval;
+            this.getTrackedObjects().forEach(obj => this.addTrailPoint(obj));
+        }
+
+        if (this.strobe && time >= this.nextFlash - epsilon) {
+            this.nextFlash += this.strobeInterval;
+            // Catch up after a jump (timeline, reset) instead of flashing repeatedly
+            if (this.nextFlash < time) {
+                this.nextFlash = time + this.strobeInterval;
+            }
+            const label = `${(time - this.strobeStart).toFixed(2)} s`;
+            this.getTrackedObjects().forEach(obj => this.addGhost(obj, label));
+        }
+    }
+
+    addTrailPoint(obj) {
+        const trail = this.trails.get(obj.id) || this.createTrail(obj);
+        const p = obj.body.position;
+        const capacity = trail.positions.length / 3;
+
+        // Full: slide everything back one point
+        if (trail.count === capacity) {
+            trail.positions.copyWithin(0, 3);
+            trail.count--;
+        }
+        trail.positions.set([p.x, p.y, p.z], trail.count * 3);
+        trail.count++;
+        trail.changed = true;
+    }
+
+    createTrail(obj) {
+        const capacity = Math.max(2, Math.round(this.trailLength / this.sampleInterval));
+        const positions = new Float32Array(capacity * 3);
+        const colors = new Float32Array(capacity * 3);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setDrawRange(0, 0);
+
+        const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        line.frustumCulled = false;
+        this.renderer.scene.add(line);
+
+        const trail = { line, positions, colors, count: 0, color: new THREE.Color(obj.color), changed: false };
+        this.trails.set(obj.id, trail);
+        return trail;
+    }
+
+    // Translucent copy of an object where it is now
+    addGhost(obj, text) {
+        const geometry = obj.batch ? this.objectManager.getGeometry(obj.type) : obj.mesh.geometry;
+        const mesh = new THREE.Mesh(geometry, this.getGhostMaterial(obj.color));
+        mesh.position.copy(obj.body.position);
+        mesh.quaternion.copy(obj.body.quaternion);
+        mesh.scale.copy(obj.mesh.scale);
+        this.renderer.scene.add(mesh);
+
+        // Just to the right of the copy
+        const label = createTimeLabel(text);
+        const reach = obj.size ? obj.size / 2 : 0.5;
+        label.position.set(mesh.position.x + reach + 0.6, mesh.position.y, mesh.position.z);
+        label.visible = this.showTimes;
+        this.renderer.scene.add(label);
+
+        this.ghosts.push({ mesh, label });
+        if (this.ghosts.length > this.maxGhosts) {
+            this.removeGhost(this.ghosts.shift());
+        }
+    }
+
+    getGhostMaterial(color) {
+        if (!this.ghostMaterials.has(color)) {
+            this.ghostMaterials.set(color, new THREE.MeshBasicMaterial({
+                color: color,
+                transparent: true,
+                opacity: this.ghostOpacity,
+                depthWrite: false,
+            }));
+        }
+        return this.ghostMaterials.get(color);
+    }
+
+    // Push changed trails to their geometry, called from ObjectManager.update()
+    sync() {
+        const alive = new Set(this.objectManager.objects.map(obj => obj.id));
+
+        this.trails.forEach((trail, id) => {
+            if (!alive.has(id) || (this.filter && !this.filter(this.objectManager.findById(id)))) {
+                this.removeTrail(id);
+                return;
+            }
+            if (!trail.changed) return;
+
+            // Oldest point faded out, newest in the object's colour
+            const color = new THREE.Color();
+            for (let i = 0; i < trail.count; i++) {
+                color.copy(this.fadeColor).lerp(trail.color, trail.count > 1 ? i / (trail.count - 1) : 1);
+                trail.colors.set([color.r, color.g, color.b], i * 3);
+            }
+
+            const geometry = trail.line.geometry;
+            geometry.attributes.position.needsUpdate = true;
+            geometry.attributes.color.needsUpdate = true;
+            geometry.setDrawRange(0, trail.count);
+            trail.changed = false;
+        });
+    }
+
+    removeTrail(id) {
+        const trail = this.trails.get(id);
+        this.renderer.scene.remove(trail.line);
+        trail.line.geometry.dispose();
+        trail.line.material.dispose();
+        this.trails.delete(id);
+    }
+
+    // Geometry and material are shared, only the label is freed
+    removeGhost(ghost) {
+        this.renderer.scene.remove(ghost.mesh);
+        this.renderer.scene.remove(ghost.label);
+        ghost.label.material.map.dispose();
+        ghost.label.material.dispose();
+    }
+
+    clearTrails() {
+        [...this.trails.keys()].forEach(id => this.removeTrail(id));
+    }
+
+    clearGhosts() {
+        this.ghosts.forEach(ghost => this.removeGhost(ghost));
+        this.ghosts = [];
+        this.strobeStart = this.physicsEngine.time;
+        this.nextFlash = this.strobeStart;
+    }
+
+    clear() {
+        this.clearTrails();
+        this.clearGhosts();
+    }
+
+    dispose() {
+        this.clear();
+        this.ghostMaterials.forEach(material => material.dispose());
+        this.physicsEngine.world.removeEventListener('postStep', this.onStep);
+    }
+}
+
+// Text sprite that always faces the camera, about 1.2 m wide
+function createTimeLabel(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 48;
+
+    const context = canvas.getContext('2d');
+    context.font = 'bold 28px sans-serif';
+    context.fillStyle = '#e8f1f5';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthWrite: false,
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(1.2, 0.45, 1);
+    return sprite;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotionTrails;
+}
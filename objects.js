@@ -9,6 +9,23 @@ class ObjectManager {
         this.objects = [];
         this.objectId = 0;
 
+        // Joints with their visuals: { joint, visual, objA, objB }
+        this.joints = [];
+
+        // Static/kinematic scene geometry (ramps, walls, platforms...)
+        this.structures = [];
+        this.structureId = 0;
+
+        // Force fields with their scene markers: { field, visual }
+        this.forceFields = [];
+
+        // Round shapes use the same segment count for mesh and collision shape
+        this.radialSegments = 16;
+        this.torusSegments = 12;
+
+        // Called after meshes are synced (overlays, trails...)
+        this.updateListeners = [];
+
         // Color palette for different shapes
         this.colors = {
             box: 0x00ff88,
@@ -17,155 +34,367 @@ class ObjectManager {
             cone: 0xff6b6b,
             torus: 0xffd93d,
         };
+
+        // Shared render resources: unit geometry per shape (scaled per object),
+        // one material and one instanced batch per shape and physical material
+        this.geometries = new Map();
+        this.sharedMaterials = new Map();
+        this.batches = new Map();
+
+        // Removed bodies and their sizes by type, reused by createObject()
+        this.bodyPool = new Map();
+        this.pooledBodies = 0;
+        this.maxPooledBodies = 2000;
     }
 
     // Create a new object
-    createObject(type, position, size = 2) {
-        let mesh, body;
-        const color = this.colors[type] || 0x00ff88;
-        const mass = this.physicsEngine.settings.defaultMass;
+    createObject(type, position, size = 2, materialName = 'default') {
+        const shape = this.getBodyShape(type, size);
+        if (!shape) {
+            return null;
+        }
+
+        const definition = this.physicsEngine.materialLibrary.get(materialName);
+        const color = definition.color !== null ? definition.color : (this.colors[type] || 0x00ff88);
+        const volume = this.getVolume(type, size);
+        const mass = this.physicsEngine.computeMass(materialName, volume);
+
+        // Same type reuses a body removed earlier, reshaped if the size differs
+        const pooled = this.takePooledBody(type);
+        if (pooled && pooled.size !== size) {
+            this.physicsEngine.setBodyShape(pooled.body, shape, mass);
+        }
+        const body = pooled
+            ? this.physicsEngine.reuseBody(pooled.body, mass, position, materialName)
+            : this.physicsEngine.createBody(shape, mass, position, materialName);
+
+        // Exact volume for buoyancy and drag (force-fields.js)
+        body.volume = volume;
 
+        // The transform lives on a plain Object3D, the batch draws it
+        const mesh = new THREE.Object3D();
+        mesh.scale.setScalar(size);
+        mesh.position.copy(body.position);
+        mesh.quaternion.copy(body.quaternion);
+
+        // Store object data
+        const obj = {
+            id: this.objectId++,
+            type: type,
+            size: size,
+            material: materialName,
+            color: color,
+            label: '',
+            frozen: false,
+            mesh: mesh,
+            body: body,
+            batch: this.getBatch(type, materialName),
+        };
+
+        obj.batch.add(obj, color);
+        this.objects.push(obj);
+        return obj;
+    }
+
+    // Collision shape for a standard object of the given size
+    getBodyShape(type, size) {
         switch (type) {
             case 'box':
-                mesh = this.createBox(size, color);
-                body = this.physicsEngine.createBody(
-                    { type: 'box', size: size },
-                    mass,
-                    position
-                );
-                break;
-
+                return { type: 'box', size: size };
             case 'sphere':
-                mesh = this.createSphere(size / 2, color);
-                body = this.physicsEngine.createBody(
-                    { type: 'sphere', radius: size / 2 },
-                    mass,
-                    position
-                );
-                break;
-
+                return { type: 'sphere', radius: size / 2 };
             case 'cylinder':
-                mesh = this.createCylinder(size / 2, size, color);
-                body = this.physicsEngine.createBody(
-                    {
-                        type: 'cylinder',
-                        radiusTop: size / 2,
-                        radiusBottom: size / 2,
-                        height: size,
-                        segments: 8
-                    },
-                    mass,
-                    position
-                );
-                break;
-
+                return {
+                    type: 'cylinder',
+                    radiusTop: size / 2,
+                    radiusBottom: size / 2,
+                    height: size,
+                    segments: this.radialSegments
+                };
             case 'cone':
-                mesh = this.createCone(size / 2, size, color);
-                body = this.physicsEngine.createBody(
-                    {
-                        type: 'cone',
-                        radius: size / 2,
-                        height: size,
-                        segments: 8
-                    },
-                    mass,
-                    position
-                );
-                break;
-
+                return {
+                    type: 'cone',
+                    radius: size / 2,
+                    height: size,
+                    segments: this.radialSegments
+                };
             case 'torus':
-                mesh = this.createTorus(size / 2, size / 4, color);
-                // Torus uses sphere physics (simplified)
-                body = this.physicsEngine.createBody(
-                    { type: 'sphere', radius: size / 2 },
-                    mass,
-                    position
-                );
-                break;
-
+                // Compound of spheres along the tube
+                return {
+                    type: 'torus',
+                    radius: size / 2,
+                    tube: size / 4,
+                    segments: this.torusSegments
+                };
             default:
                 return null;
         }
+    }
+
+    // Create an object from any geometry: 'convex' wraps it in its hull,
+    // 'trimesh' uses the triangles as-is (static or sphere-only contacts).
+    // The geometry is also kept as plain arrays (obj.customShape) for saving.
+    createCustomObject(geometry, position, options = {}) {
+        const mode = options.mode || 'convex';
+        const materialName = options.material || 'default';
+        const definition = this.physicsEngine.materialLibrary.get(materialName);
+        const color = options.color || (definition.color !== null ? definition.color : 0x00ff88);
+
+        const material = this.createMeshMaterial(color, materialName);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        const shape = mode === 'trimesh'
+            ? geometryToTrimesh(geometry)
+            : geometryToConvexHull(mesh);
+
+        const mass = options.mass !== undefined
+            ? options.mass
+            : this.physicsEngine.computeMass(materialName, getGeometryVolume(geometry));
+        const body = this.physicsEngine.createBody(shape, mass, position, materialName);
+        body.volume = getGeometryVolume(geometry);
 
-        // Add to scene
         this.renderer.scene.add(mesh);
 
-        // Store object data
         const obj = {
             id: this.objectId++,
-            type: type,
+            type: 'custom',
+            size: null,
+            material: materialName,
+            color: color,
+            label: '',
+            frozen: false,
             mesh: mesh,
             body: body,
+            batch: null,
+            customShape: {
+                mode,
+                positions: Array.from(geometry.attributes.position.array),
+                indices: geometry.index ? Array.from(geometry.index.array) : null,
+            },
         };
 
         this.objects.push(obj);
         return obj;
     }
 
-    // Three.js mesh creators
-    createBox(size, color) {
-        const geometry = new THREE.BoxGeometry(size, size, size);
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.6,
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        return mesh;
+    // BufferGeometry back from { positions, indices } (see obj.customShape)
+    createGeometry(shape) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(shape.positions, 3));
+        if (shape.indices) {
+            geometry.setIndex(shape.indices);
+        }
+        geometry.computeVertexNormals();
+        return geometry;
     }
 
-    createSphere(radius, color) {
-        const geometry = new THREE.SphereGeometry(radius, 32, 32);
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.6,
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        return mesh;
+    // Volume in m³, used for mass = density × volume
+    getVolume(type, size) {
+        const r = size / 2;
+        switch (type) {
+            case 'box':
+                return size * size * size;
+            case 'sphere':
+                return (4 / 3) * Math.PI * r * r * r;
+            case 'cylinder':
+                return Math.PI * r * r * size;
+            case 'cone':
+                return (1 / 3) * Math.PI * r * r * size;
+            case 'torus': {
+                const tube = size / 4;
+                return 2 * Math.PI * Math.PI * r * tube * tube;
+            }
+            default:
+                return size * size * size;
+        }
     }
 
-    createCylinder(radius, height, color) {
-        const geometry = new THREE.CylinderGeometry(radius, radius, height, 32);
-        const material = new THREE.MeshStandardMaterial({
+    // Surface look follows the physical material
+    createMeshMaterial(color, materialName = 'default') {
+        const definition = this.physicsEngine.materialLibrary.get(materialName);
+        const opacity = definition.opacity !== undefined ? definition.opacity : 1;
+
+        return new THREE.MeshStandardMaterial({
             color: color,
-            metalness: 0.3,
-            roughness: 0.6,
+            metalness: definition.metalness,
+            roughness: definition.roughness,
+            transparent: opacity < 1,
+            opacity: opacity,
         });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        return mesh;
     }
 
-    createCone(radius, height, color) {
-        const geometry = new THREE.ConeGeometry(radius, height, 32);
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.6,
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        return mesh;
+    // Swap the material of an existing object (physics, mass and look)
+    setObjectMaterial(obj, materialName) {
+        const definition = this.physicsEngine.materialLibrary.get(materialName);
+        const body = obj.body;
+
+        body.material = this.physicsEngine.getMaterial(materialName);
+        this.setObjectMass(obj, this.physicsEngine.computeMass(materialName, body.volume));
+
+        const color = definition.color !== null ? definition.color : (this.colors[obj.type] || 0x00ff88);
+        if (obj.batch) {
+            // Batches are per material, move the instance
+            obj.batch.remove(obj);
+            obj.batch = this.getBatch(obj.type, materialName);
+            obj.batch.add(obj, color);
+        } else {
+            obj.mesh.material.dispose();
+            obj.mesh.material = this.createMeshMaterial(color, materialName);
+        }
+        obj.color = color;
+        obj.material = materialName;
     }
 
-    createTorus(radius, tube, color) {
-        const geometry = new THREE.TorusGeometry(radius, tube, 16, 100);
-        const material = new THREE.MeshStandardMaterial({
-            color: color,
-            metalness: 0.3,
-            roughness: 0.6,
-        });
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        return mesh;
+    // Name shown in the panels: the custom label or "type #id"
+    getObjectName(obj) {
+        return obj.label || `${obj.type} #${obj.id}`;
+    }
+
+    // Mass in kg, frozen objects remember theirs
+    getObjectMass(obj) {
+        return obj.frozen ? obj.body.frozenMass : obj.body.mass;
+    }
+
+    setObjectMass(obj, mass) {
+        if (obj.frozen) {
+            obj.body.frozenMass = mass;
+            return;
+        }
+        obj.body.mass = mass;
+        obj.body.updateMassProperties();
+        obj.body.wakeUp();
+    }
+
+    // Rebuild the collision shape at a new size, mass follows the material density
+    resizeObject(obj, size) {
+        const shape = this.getBodyShape(obj.type, size);
+        if (!shape) return;
+
+        const volume = this.getVolume(obj.type, size);
+        const mass = this.physicsEngine.computeMass(obj.material, volume);
+
+        this.physicsEngine.setBodyShape(obj.body, shape, obj.frozen ? 0 : mass);
+        if (obj.frozen) {
+            obj.body.frozenMass = mass;
+        }
+        obj.body.volume = volume;
+        obj.mesh.scale.setScalar(size);
+        obj.size = size;
+    }
+
+    setObjectColor(obj, color) {
+        if (obj.batch) {
+            obj.batch.setColor(obj, color);
+        } else {
+            obj.mesh.material.color.set(color);
+        }
+        obj.color = color;
+    }
+
+    // Frozen objects stay where they are and act like static geometry
+    setObjectFrozen(obj, frozen) {
+        this.physicsEngine.setBodyFrozen(obj.body, frozen);
+        obj.frozen = frozen;
+    }
+
+    // Copy an object (shape, material, mass, colour, label and motion),
+    // placed just above the original
+    duplicateObject(obj) {
+        const body = obj.body;
+        const lift = obj.size || body.boundingRadius * 2;
+        const position = { x: body.position.x, y: body.position.y + lift * 1.1, z: body.position.z };
+
+        let copy;
+        if (obj.batch) {
+            copy = this.createObject(obj.type, position, obj.size, obj.material);
+        } else {
+            copy = this.createCustomObject(this.createGeometry(obj.customShape), position, {
+                mode: obj.customShape.mode,
+                material: obj.material,
+                color: obj.color,
+            });
+        }
+
+        this.setObjectMass(copy, this.getObjectMass(obj));
+        this.setObjectColor(copy, obj.color);
+        copy.label = obj.label;
+        copy.body.quaternion.copy(body.quaternion);
+        copy.body.velocity.copy(body.velocity);
+        copy.body.angularVelocity.copy(body.angularVelocity);
+        if (obj.frozen) {
+            this.setObjectFrozen(copy, true);
+        }
+        return copy;
+    }
+
+    // Unit-size geometry for a shape, objects scale it by their size
+    getGeometry(type) {
+        if (!this.geometries.has(type)) {
+            let geometry;
+            switch (type) {
+                case 'box':
+                    geometry = new THREE.BoxGeometry(1, 1, 1);
+                    break;
+                case 'sphere':
+                    geometry = new THREE.SphereGeometry(0.5, 24, 16);
+                    break;
+                case 'cylinder':
+                    geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, this.radialSegments);
+                    break;
+                case 'cone':
+                    geometry = new THREE.ConeGeometry(0.5, 1, this.radialSegments);
+                    // Centre of mass sits a quarter of the height above the base
+                    geometry.translate(0, 0.25, 0);
+                    break;
+                case 'torus':
+                    geometry = new THREE.TorusGeometry(0.5, 0.25, 16, 64);
+                    break;
+            }
+            this.geometries.set(type, geometry);
+        }
+        return this.geometries.get(type);
+    }
+
+    // White base colour, instances bring their own colour
+    getSharedMaterial(materialName) {
+        if (!this.sharedMaterials.has(materialName)) {
+            this.sharedMaterials.set(materialName, this.createMeshMaterial(0xffffff, materialName));
+        }
+        return this.sharedMaterials.get(materialName);
+    }
+
+    getBatch(type, materialName) {
+        const key = `${type}|${materialName}`;
+        if (!this.batches.has(key)) {
+            this.batches.set(key, new InstanceBatch(
+                this.renderer.scene,
+                this.getGeometry(type),
+                this.getSharedMaterial(materialName)
+            ));
+        }
+        return this.batches.get(key);
+    }
+
+    takePooledBody(type) {
+        const pool = this.bodyPool.get(type);
+        if (!pool || pool.length === 0) {
+            return null;
+        }
+        this.pooledBodies--;
+        return pool.pop();
+    }
+
+    // Keep a removed body for the next object of the same type
+    releaseBody(obj) {
+        if (!obj.batch || this.pooledBodies >= this.maxPooledBodies) return;
+
+        if (!this.bodyPool.has(obj.type)) {
+            this.bodyPool.set(obj.type, []);
+        }
+        this.bodyPool.get(obj.type).push({ body: obj.body, size: obj.size });
+        this.pooledBodies++;
     }
 
     // Update all objects (sync physics to rendering)
@@ -177,19 +406,209 @@ class ObjectManager {
             // Copy rotation from physics body to mesh
             obj.mesh.quaternion.copy(obj.body.quaternion);
         });
+
+        this.batches.forEach(batch => batch.sync());
+
+        // Kinematic platforms move, static ones just stay in sync
+        this.structures.forEach(structure => {
+            structure.mesh.position.copy(structure.body.position);
+            structure.mesh.quaternion.copy(structure.body.quaternion);
+        });
+
+        this.joints.forEach(entry => {
+            const ends = this.physicsEngine.getJointEndpoints(entry.joint);
+            this.renderer.updateJointVisual(entry.visual, ends.a, ends.b);
+        });
+
+        this.updateListeners.forEach(listener => listener());
+    }
+
+    addUpdateListener(listener) {
+        this.updateListeners.push(listener);
+    }
+
+    // Join two objects, or one object to a fixed point (objB = null,
+    // options.anchor). See PhysicsEngine.addJoint() for the types.
+    addJoint(type, objA, objB, options = {}) {
+        const joint = this.physicsEngine.addJoint(type, objA.body, objB ? objB.body : null, options);
+        const visual = this.renderer.createJointVisual(type);
+
+        const entry = { joint, visual, objA, objB, options };
+        this.joints.push(entry);
+
+        const ends = this.physicsEngine.getJointEndpoints(joint);
+        this.renderer.updateJointVisual(visual, ends.a, ends.b);
+        return entry;
+    }
+
+    removeJoint(entry) {
+        const index = this.joints.indexOf(entry);
+        if (index === -1) return;
+
+        this.physicsEngine.removeJoint(entry.joint);
+        this.renderer.removeJointVisual(entry.visual);
+        this.joints.splice(index, 1);
+    }
+
+    getJointsOf(obj) {
+        return this.joints.filter(entry => entry.objA === obj || entry.objB === obj);
+    }
+
+    // Place a structure from STRUCTURE_TYPES. transform = { x, z, rotationY (deg), scale }
+    createStructure(kind, params = {}, transform = {}, materialName = 'default', id = null) {
+        const definition = STRUCTURE_TYPES[kind];
+        if (!definition) {
+            return null;
+        }
+
+        const fullParams = { ...definition.defaults, ...params };
+        const fullTransform = { x: 0, z: 0, rotationY: 0, scale: 1, ...transform };
+        const scale = fullTransform.scale;
+
+        // Scale every part around the structure origin
+        const parts = definition.build(fullParams).map(part => ({
+            shape: {
+                type: 'cuboid',
+                halfExtents: {
+                    x: part.shape.halfExtents.x * scale,
+                    y: part.shape.halfExtents.y * scale,
+                    z: part.shape.halfExtents.z * scale,
+                },
+            },
+            offset: { x: part.offset.x * scale, y: part.offset.y * scale, z: part.offset.z * scale },
+            rotation: part.rotation,
+        }));
+
+        const angle = fullTransform.rotationY * Math.PI / 180;
+        const quaternion = { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+        const body = this.physicsEngine.createStaticBody(
+            parts,
+            { x: fullTransform.x, y: 0, z: fullTransform.z },
+            quaternion,
+            { kinematic: Boolean(definition.kinematic), material: materialName }
+        );
+
+        if (definition.motion) {
+            // Motion clock starts now so the platform oscillates around where it was placed
+            const motion = definition.motion(fullParams);
+            const startTime = this.physicsEngine.time;
+            this.physicsEngine.addKinematicMotion(body, (time) => motion(time - startTime));
+        }
+
+        // One box mesh per part, grouped like the compound body
+        const materialDefinition = this.physicsEngine.materialLibrary.get(materialName);
+        const color = materialDefinition.color !== null ? materialDefinition.color : 0x5a6b85;
+        const meshMaterial = this.createMeshMaterial(color, materialName);
+        const mesh = new THREE.Group();
+        parts.forEach(part => {
+            const h = part.shape.halfExtents;
+            const box = new THREE.Mesh(new THREE.BoxGeometry(h.x * 2, h.y * 2, h.z * 2), meshMaterial);
+            box.position.set(part.offset.x, part.offset.y, part.offset.z);
+            if (part.rotation) {
+                box.quaternion.set(part.rotation.x, part.rotation.y, part.rotation.z, part.rotation.w);
+            }
+            box.castShadow = true;
+            box.receiveShadow = true;
+            mesh.add(box);
+        });
+        mesh.position.copy(body.position);
+        mesh.quaternion.copy(body.quaternion);
+        this.renderer.scene.add(mesh);
+
+        const structure = {
+            id: id !== null ? id : this.structureId++,
+            kind,
+            params: fullParams,
+            transform: fullTransform,
+            material: materialName,
+            mesh,
+            body,
+        };
+
+        this.structures.push(structure);
+        return structure;
+    }
+
+    // Rebuild a structure with new parameters or placement
+    updateStructure(structure, params = {}, transform = {}) {
+        const index = this.structures.indexOf(structure);
+        this.removeStructure(structure);
+
+        const rebuilt = this.createStructure(
+            structure.kind,
+            { ...structure.params, ...params },
+            { ...structure.transform, ...transform },
+            structure.material,
+            structure.id
+        );
+
+        // Keep the original order
+        this.structures.pop();
+        this.structures.splice(index, 0, rebuilt);
+        return rebuilt;
+    }
+
+    removeStructure(structure) {
+        const index = this.structures.indexOf(structure);
+        if (index === -1) return;
+
+        this.renderer.scene.remove(structure.mesh);
+        structure.mesh.children.forEach(child => child.geometry.dispose());
+        structure.mesh.children[0].material.dispose();
+
+        this.physicsEngine.removeBody(structure.body);
+        this.structures.splice(index, 1);
+    }
+
+    clearStructures() {
+        [...this.structures].forEach(structure => this.removeStructure(structure));
+    }
+
+    // Add a force field (see force-fields.js) with its scene marker
+    addForceField(type, params = {}) {
+        const field = this.physicsEngine.addForceField(type, params);
+        const entry = { field, visual: this.renderer.createForceFieldVisual(field) };
+        this.forceFields.push(entry);
+        return entry;
+    }
+
+    // Marker is rebuilt since radius, volume or direction may change
+    updateForceField(entry, params = {}, enabled = entry.field.enabled) {
+        this.physicsEngine.updateForceField(entry.field, params, enabled);
+        this.renderer.removeForceFieldVisual(entry.visual);
+        entry.visual = this.renderer.createForceFieldVisual(entry.field);
+    }
+
+    removeForceField(entry) {
+        const index = this.forceFields.indexOf(entry);
+        if (index === -1) return;
+
+        this.physicsEngine.removeForceField(entry.field);
+        this.renderer.removeForceFieldVisual(entry.visual);
+        this.forceFields.splice(index, 1);
+    }
+
+    clearForceFields() {
+        [...this.forceFields].forEach(entry => this.removeForceField(entry));
     }
 
     // Remove a specific object
     removeObject(obj) {
-        // Remove from scene
-        this.renderer.scene.remove(obj.mesh);
+        // Joints can't outlive their bodies
+        this.getJointsOf(obj).forEach(entry => this.removeJoint(entry));
 
-        // Dispose geometry and material
-        obj.mesh.geometry.dispose();
-        obj.mesh.material.dispose();
+        // Batched objects free their instance, custom ones own their mesh
+        if (obj.batch) {
+            obj.batch.remove(obj);
+        } else {
+            this.renderer.scene.remove(obj.mesh);
+            obj.mesh.geometry.dispose();
+            obj.mesh.material.dispose();
+        }
 
-        // Remove from physics world
+        // Remove from physics world, keep the body for reuse
         this.physicsEngine.removeBody(obj.body);
+        this.releaseBody(obj);
 
         // Remove from array
         const index = this.objects.indexOf(obj);
@@ -209,25 +628,51 @@ class ObjectManager {
         this.physicsEngine.clearAllBodies();
     }
 
+    // Find the object that owns a mesh
+    findByMesh(mesh) {
+        return this.objects.find(obj => obj.mesh === mesh) || null;
+    }
+
+    findById(id) {
+        return this.objects.find(obj => obj.id === id) || null;
+    }
+
+    // Object behind a raycast hit, batched or not
+    findByHit(hit) {
+        const batch = hit.object.userData.batch;
+        return batch ? batch.getObject(hit.instanceId) : this.findByMesh(hit.object);
+    }
+
+    // Everything pickable: instanced batches and custom meshes
+    getMeshes() {
+        const meshes = [];
+        this.batches.forEach(batch => meshes.push(batch.mesh));
+        this.objects.forEach(obj => {
+            if (!obj.batch) meshes.push(obj.mesh);
+        });
+        return meshes;
+    }
+
     // Get object count
     getCount() {
         return this.objects.length;
     }
 
     // Spawn object at random position above ground
-    spawnRandom(type) {
+    spawnRandom(type, materialName = 'default') {
+        const random = () => this.physicsEngine.random();
         const position = {
-            x: (Math.random() - 0.5) * 10,
-            y: 10 + Math.random() * 5,
-            z: (Math.random() - 0.5) * 10,
+            x: (random() - 0.5) * 10,
+            y: 10 + random() * 5,
+            z: (random() - 0.5) * 10,
         };
 
-        const size = 1.5 + Math.random() * 1.5;
-        return this.createObject(type, position, size);
+        const size = 1.5 + random() * 1.5;
+        return this.createObject(type, position, size, materialName);
     }
 
     // Spawn object at specific position
-    spawnAtPosition(type, position) {
+    spawnAtPosition(type, position, materialName = 'default') {
         // Spawn a bit above the position to avoid ground collision
         const spawnPos = {
             x: position.x,
@@ -235,11 +680,71 @@ class ObjectManager {
             z: position.z,
         };
 
-        const size = 1.5 + Math.random() * 0.5;
-        return this.createObject(type, spawnPos, size);
+        const size = 1.5 + this.physicsEngine.random() * 0.5;
+        return this.createObject(type, spawnPos, size, materialName);
     }
 }
 
+// Convex hull of a mesh as plain vertex/face arrays (needs THREE.ConvexHull)
+function geometryToConvexHull(mesh) {
+    const hull = new THREE.ConvexHull().setFromObject(mesh);
+    const vertices = [];
+    const faces = [];
+    const indexOf = new Map();
+
+    hull.faces.forEach(face => {
+        const indices = [];
+        let edge = face.edge;
+        do {
+            const point = edge.head().point;
+            const key = `${point.x},${point.y},${point.z}`;
+            if (!indexOf.has(key)) {
+                indexOf.set(key, vertices.length);
+                vertices.push([point.x, point.y, point.z]);
+            }
+            indices.push(indexOf.get(key));
+            edge = edge.next;
+        } while (edge !== face.edge);
+        faces.push(indices);
+    });
+
+    return { type: 'convex', vertices, faces };
+}
+
+// Flat vertex/index arrays of a BufferGeometry
+function geometryToTrimesh(geometry) {
+    const position = geometry.attributes.position;
+    const vertices = Array.from(position.array);
+    const indices = geometry.index
+        ? Array.from(geometry.index.array)
+        : Array.from({ length: position.count }, (_, i) => i);
+
+    return { type: 'trimesh', vertices, indices };
+}
+
+// Enclosed volume from signed tetrahedra (closed meshes only)
+function getGeometryVolume(geometry) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    let volume = 0;
+
+    for (let i = 0; i < count; i += 3) {
+        const ia = index ? index.getX(i) : i;
+        const ib = index ? index.getX(i + 1) : i + 1;
+        const ic = index ? index.getX(i + 2) : i + 2;
+        a.fromBufferAttribute(position, ia);
+        b.fromBufferAttribute(position, ib);
+        c.fromBufferAttribute(position, ic);
+        volume += a.dot(b.cross(c)) / 6;
+    }
+
+    return Math.abs(volume);
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ObjectManager;
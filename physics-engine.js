@@ -10,7 +10,45 @@ class PhysicsEngine {
         this.timeScale = 1.0;
         this.isPaused = false;
 
+        // Collision pair search: 'naive' (all pairs), 'sap' or 'grid'
+        this.broadphaseType = 'naive';
+
+        // Wall-clock cost of the physics per frame, smoothed (ms)
+        this.stepTime = 0;
+        this.stepTimePerStep = 0;
+
+        // Deterministic mode (seeded random + fixed step)
+        this.deterministic = false;
+        this.rng = null;
+        this.accumulator = 0;
+        this.stepCount = 0;
+
+        // Simulated time in seconds (CANNON.World.time counts fixed steps twice)
+        this.time = 0;
+
+        // Mouse grab (point-to-point constraint to a static anchor)
+        this.grab = null;
+
+        // Joints between bodies or to fixed anchors
+        this.joints = [];
+        this.jointId = 0;
+
+        // Ground and user-placed static/kinematic geometry
+        this.groundBody = null;
+        this.groundSize = null; // null = infinite plane
+        this.kinematicMotions = [];
+
+        // Force fields from FORCE_FIELD_TYPES: { id, type, params, enabled }
+        this.forceFields = [];
+        this.forceFieldId = 0;
+
+        // Called with the ContactEquation when two bodies start touching
+        this.contactListeners = [];
+
         // Material properties
+        this.materialLibrary = new MaterialLibrary();
+        this.materials = {};        // name -> CANNON.Material
+        this.contactMaterials = {}; // "a|b" -> CANNON.ContactMaterial
         this.defaultMaterial = null;
         this.groundMaterial = null;
         this.contactMaterial = null;
@@ -21,12 +59,20 @@ class PhysicsEngine {
             restitution: 0.3,  // Bounce
             friction: 0.3,
             defaultMass: 5,
+            massFromDensity: true,
         };
 
         this.init();
     }
 
     init() {
+        // Both bodies of a pair hear the same contact, forward it once
+        this.onBodyCollide = (event) => {
+            if (event.target === event.contact.bi) {
+                this.contactListeners.forEach(listener => listener(event.contact));
+            }
+        };
+
         // Create physics world
         this.world = new CANNON.World();
         this.world.gravity.set(
@@ -36,118 +82,744 @@ class PhysicsEngine {
         );
 
         // Broadphase makes detection faster
-        this.world.broadphase = new CANNON.NaiveBroadphase();
+        this.setBroadphase(this.broadphaseType);
 
         // Allow sleeping (objects at rest don't compute)
         this.world.allowSleep = true;
 
-        // Create materials
-        this.defaultMaterial = new CANNON.Material('default');
-        this.groundMaterial = new CANNON.Material('ground');
-
-        // Contact material (defines interaction between materials)
-        this.contactMaterial = new CANNON.ContactMaterial(
-            this.defaultMaterial,
-            this.groundMaterial,
-            {
-                friction: this.settings.friction,
-                restitution: this.settings.restitution,
-            }
-        );
+        // Sparse contact bookkeeping, the default array matrix clears n² cells every step
+        this.world.collisionMatrix = new CANNON.ObjectCollisionMatrix();
+        this.world.collisionMatrixPrevious = new CANNON.ObjectCollisionMatrix();
+
+        // Realistic sliding friction (needed for inclined-plane experiments)
+        this.fixFriction();
 
-        this.world.addContactMaterial(this.contactMaterial);
+        // Count every internal step, fixed or interpolated
+        this.world.addEventListener('postStep', () => {
+            this.stepCount++;
+            this.time += this.timeStep;
+            this.updateRopes();
+        });
+
+        // Cannon only tells the two bodies about a new contact, and it does so
+        // before the solver runs, while velocities are still the incoming ones
+        this.world.addEventListener('addBody', (event) => {
+            event.body.addEventListener('collide', this.onBodyCollide);
+        });
+
+        // Springs and force fields push on their bodies, platforms move
+        this.world.addEventListener('preStep', () => {
+            this.joints.forEach(joint => {
+                if (joint.spring) joint.spring.applyForce();
+            });
+
+            this.applyForceFields();
+
+            this.kinematicMotions.forEach(({ body, motion }) => {
+                const v = motion(this.time);
+                body.velocity.set(v.x, v.y, v.z);
+            });
+        });
+
+        // Create materials (each pair gets its own contact material)
+        this.defaultMaterial = this.getMaterial('default');
+        this.groundMaterial = this.getMaterial('ground');
+        this.contactMaterial = this.getContactMaterial('default', 'ground');
 
         // Create ground plane
         this.createGround();
     }
 
+    // Swap the collision pair search, see BROADPHASE_TYPES
+    setBroadphase(type) {
+        if (!BROADPHASE_TYPES[type]) {
+            throw new Error(`Broadphase desconhecido: ${type}`);
+        }
+
+        // Sweep-and-prune listens to body events, detach it before replacing
+        const previous = this.world.broadphase;
+        if (previous instanceof CANNON.SAPBroadphase) {
+            this.world.removeEventListener('addBody', previous._addBodyHandler);
+            this.world.removeEventListener('removeBody', previous._removeBodyHandler);
+        }
+
+        this.world.broadphase = BROADPHASE_TYPES[type].create(this.world);
+        this.broadphaseType = type;
+    }
+
+    // Gauss-Seidel iterations per step: more is stiffer stacks, slower steps
+    setSolverIterations(iterations) {
+        this.world.solver.iterations = iterations;
+    }
+
+    getSolverIterations() {
+        return this.world.solver.iterations;
+    }
+
+    // Fixed step size (s) and how many may run to catch up in one frame
+    setTimeStep(timeStep, maxSubSteps = this.maxSubSteps) {
+        this.timeStep = timeStep;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+    }
+
     createGround() {
-        const groundShape = new CANNON.Plane();
         const groundBody = new CANNON.Body({
             mass: 0, // Static body
             material: this.groundMaterial,
         });
-        groundBody.addShape(groundShape);
 
-        // Rotate to be horizontal (plane faces up in Y direction)
-        groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        if (this.groundSize === null) {
+            groundBody.addShape(new CANNON.Plane());
+
+            // Rotate to be horizontal (plane faces up in Y direction)
+            groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        } else {
+            // Finite slab with its top face at y = 0, objects fall off the edges
+            const half = this.groundSize / 2;
+            groundBody.addShape(new CANNON.Box(new CANNON.Vec3(half, 0.5, half)));
+            groundBody.position.set(0, -0.5, 0);
+        }
 
         this.world.addBody(groundBody);
+        this.groundBody = groundBody;
     }
 
-    // Create a physics body for an object
-    createBody(shape, mass, position) {
-        let cannonShape;
+    // Cannon 0.6.2 caps each friction impulse with μ·m·g, a force, so at
+    // 60 Hz friction comes out ~60× too strong and boxes never slide.
+    // Cap it with μ·m·g·Δt instead, one averaged pair per contact patch.
+    fixFriction() {
+        const narrowphase = this.world.narrowphase;
+        const createFriction = narrowphase.createFrictionEquationsFromContact;
+
+        narrowphase.enableFrictionReduction = true;
+        narrowphase.createFrictionEquationsFromContact = (contact, out) => {
+            const created = createFriction.call(narrowphase, contact, out);
+            if (created) {
+                out.slice(-2).forEach(equation => {
+                    equation.minForce *= this.timeStep;
+                    equation.maxForce *= this.timeStep;
+                });
+            }
+            return created;
+        };
+    }
+
+    // Replace the ground: a size in metres for a square slab, null for the infinite plane
+    setGroundSize(size) {
+        if (this.groundBody) {
+            this.world.removeBody(this.groundBody);
+        }
+        this.groundSize = size;
+        this.createGround();
+    }
 
+    // Get (or lazily create) the Cannon material for a library entry
+    getMaterial(name) {
+        if (!this.materialLibrary.has(name)) {
+            name = 'default';
+        }
+
+        if (!this.materials[name]) {
+            const material = new CANNON.Material(name);
+            this.materials[name] = material;
+
+            // Pair the new material with every known one, itself included
+            Object.keys(this.materials).forEach(other => {
+                this.createContactMaterial(name, other);
+            });
+        }
+
+        return this.materials[name];
+    }
+
+    createContactMaterial(nameA, nameB) {
+        const properties = this.materialLibrary.combine(nameA, nameB);
+        const contact = new CANNON.ContactMaterial(
+            this.materials[nameA],
+            this.materials[nameB],
+            properties
+        );
+
+        this.contactMaterials[contactKey(nameA, nameB)] = contact;
+        this.world.addContactMaterial(contact);
+        return contact;
+    }
+
+    getContactMaterial(nameA, nameB) {
+        return this.contactMaterials[contactKey(nameA, nameB)];
+    }
+
+    // Recompute every pair after a library edit
+    refreshContactMaterials() {
+        Object.keys(this.contactMaterials).forEach(key => {
+            const [nameA, nameB] = key.split('|');
+            const properties = this.materialLibrary.combine(nameA, nameB);
+            this.contactMaterials[key].friction = properties.friction;
+            this.contactMaterials[key].restitution = properties.restitution;
+        });
+    }
+
+    // Mass for a shape volume made of a library material
+    computeMass(materialName, volume) {
+        const definition = this.materialLibrary.get(materialName);
+        if (!this.settings.massFromDensity || definition.density === null) {
+            return this.settings.defaultMass;
+        }
+        return definition.density * volume;
+    }
+
+    // Build the collision shape(s) for a shape description.
+    // Returns [{ shape, offset, orientation }] so compound shapes fit too.
+    createShapes(shape) {
         switch (shape.type) {
             case 'box':
-                cannonShape = new CANNON.Box(new CANNON.Vec3(
-                    shape.size / 2,
-                    shape.size / 2,
-                    shape.size / 2
-                ));
-                break;
+                return [{
+                    shape: new CANNON.Box(new CANNON.Vec3(
+                        shape.size / 2,
+                        shape.size / 2,
+                        shape.size / 2
+                    )),
+                }];
+
+            case 'cuboid':
+                return [{
+                    shape: new CANNON.Box(new CANNON.Vec3(
+                        shape.halfExtents.x,
+                        shape.halfExtents.y,
+                        shape.halfExtents.z
+                    )),
+                }];
 
             case 'sphere':
-                cannonShape = new CANNON.Sphere(shape.radius);
-                break;
+                return [{ shape: new CANNON.Sphere(shape.radius) }];
 
             case 'cylinder':
-                cannonShape = new CANNON.Cylinder(
-                    shape.radiusTop,
-                    shape.radiusBottom,
-                    shape.height,
-                    shape.segments
-                );
-                break;
+                // Cannon cylinders run along Z, Three.js along Y
+                return [{
+                    shape: new CANNON.Cylinder(
+                        shape.radiusTop,
+                        shape.radiusBottom,
+                        shape.height,
+                        shape.segments
+                    ),
+                    orientation: new CANNON.Quaternion().setFromEuler(-Math.PI / 2, 0, 0),
+                }];
 
             case 'cone':
-                // Cannon.js doesn't have cone, use cylinder with radiusTop = 0
-                cannonShape = new CANNON.Cylinder(
-                    0.01,  // Small top radius
-                    shape.radius,
-                    shape.height,
-                    shape.segments
-                );
-                break;
+                return [{ shape: createConeShape(shape.radius, shape.height, shape.segments) }];
+
+            case 'torus':
+                return createTorusShapes(shape.radius, shape.tube, shape.segments);
+
+            case 'convex':
+                return [{ shape: createConvexShape(shape.vertices, shape.faces) }];
+
+            case 'trimesh':
+                // Trimeshes only collide reliably with spheres and planes: best for static bodies
+                return [{ shape: new CANNON.Trimesh(shape.vertices, shape.indices) }];
 
             default:
                 // Default to sphere
-                cannonShape = new CANNON.Sphere(1);
+                return [{ shape: new CANNON.Sphere(1) }];
         }
+    }
 
+    // Create a physics body for an object
+    createBody(shape, mass, position, materialName = 'default') {
         const body = new CANNON.Body({
             mass: mass,
-            material: this.defaultMaterial,
+            material: this.getMaterial(materialName),
             position: new CANNON.Vec3(position.x, position.y, position.z),
             linearDamping: 0.1,
             angularDamping: 0.1,
         });
 
-        body.addShape(cannonShape);
+        this.createShapes(shape).forEach(part => {
+            body.addShape(part.shape, part.offset, part.orientation);
+        });
+
+        this.randomizeSpin(body);
+        this.world.addBody(body);
+        return body;
+    }
+
+    // Put a removed body back into the world in the state createBody() gives
+    reuseBody(body, mass, position, materialName = 'default') {
+        body.position.set(position.x, position.y, position.z);
+        body.previousPosition.copy(body.position);
+        body.interpolatedPosition.copy(body.position);
+        body.quaternion.set(0, 0, 0, 1);
+        body.interpolatedQuaternion.copy(body.quaternion);
+        body.velocity.set(0, 0, 0);
+        body.force.set(0, 0, 0);
+        body.torque.set(0, 0, 0);
+        body.vlambda.set(0, 0, 0);
+        body.wlambda.set(0, 0, 0);
+        body.aabbNeedsUpdate = true;
+        body.timeLastSleepy = 0;
+        body.wakeUp();
+
+        // Inertia comes from the world AABB, so only after the pose reset
+        body.material = this.getMaterial(materialName);
+        body.mass = mass;
+        body.type = mass > 0 ? CANNON.Body.DYNAMIC : CANNON.Body.STATIC;
+        delete body.frozenMass;
+        body.updateMassProperties();
+        body.linearDamping = 0.1;
+        body.angularDamping = 0.1;
+
+        this.randomizeSpin(body);
+        this.world.addBody(body);
+        return body;
+    }
 
-        // Add random initial rotation for variety
+    // Add random initial rotation for variety
+    randomizeSpin(body) {
         body.angularVelocity.set(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
+            (this.random() - 0.5) * 2,
+            (this.random() - 0.5) * 2,
+            (this.random() - 0.5) * 2
         );
+    }
+
+    // Replace the collision shape(s) of a body, e.g. after a resize
+    setBodyShape(body, shape, mass = body.mass) {
+        body.shapes.length = 0;
+        body.shapeOffsets.length = 0;
+        body.shapeOrientations.length = 0;
+
+        this.createShapes(shape).forEach(part => {
+            body.addShape(part.shape, part.offset, part.orientation);
+        });
+
+        body.mass = mass;
+        body.updateMassProperties();
+        body.aabbNeedsUpdate = true;
+        body.wakeUp();
+    }
+
+    // Pin a dynamic body in place (static, mass 0) or release it again.
+    // The mass is kept on body.frozenMass meanwhile.
+    setBodyFrozen(body, frozen) {
+        if (frozen === (body.frozenMass !== undefined)) return;
+
+        if (frozen) {
+            body.frozenMass = body.mass;
+            body.mass = 0;
+            body.type = CANNON.Body.STATIC;
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+        } else {
+            body.mass = body.frozenMass;
+            body.type = CANNON.Body.DYNAMIC;
+            delete body.frozenMass;
+        }
+
+        body.updateMassProperties();
+        body.wakeUp();
+    }
+
+    // Static or kinematic body built from parts:
+    // [{ shape, offset: {x, y, z}, rotation: {x, y, z, w} }]
+    createStaticBody(parts, position, quaternion, options = {}) {
+        const body = new CANNON.Body({
+            mass: 0,
+            type: options.kinematic ? CANNON.Body.KINEMATIC : CANNON.Body.STATIC,
+            material: this.getMaterial(options.material || 'ground'),
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+        });
+
+        if (quaternion) {
+            body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        }
+
+        parts.forEach(part => {
+            const orientation = part.rotation
+                ? new CANNON.Quaternion(part.rotation.x, part.rotation.y, part.rotation.z, part.rotation.w)
+                : undefined;
+
+            this.createShapes(part.shape).forEach(piece => {
+                // Combine the part placement with any placement inside the shape
+                const offset = orientation && piece.offset ? orientation.vmult(piece.offset) : piece.offset;
+                const rotation = orientation && piece.orientation
+                    ? orientation.mult(piece.orientation)
+                    : (orientation || piece.orientation);
+
+                body.addShape(piece.shape, toVec3(part.offset).vadd(offset || new CANNON.Vec3()), rotation);
+            });
+        });
 
         this.world.addBody(body);
         return body;
     }
 
+    // Drive a kinematic body: motion(time) returns its velocity {x, y, z}
+    addKinematicMotion(body, motion) {
+        this.kinematicMotions.push({ body, motion });
+    }
+
     // Remove a body from the physics world
     removeBody(body) {
+        this.kinematicMotions = this.kinematicMotions.filter(entry => entry.body !== body);
+        if (this.isGrabbing(body)) {
+            this.releaseBody();
+        }
+        this.getJointsOf(body).forEach(joint => this.removeJoint(joint));
         this.world.removeBody(body);
     }
 
     // Update physics simulation
     update(deltaTime) {
-        if (!this.isPaused) {
-            const dt = deltaTime * this.timeScale;
+        if (this.isPaused) {
+            return;
+        }
+
+        const dt = deltaTime * this.timeScale;
+        const start = performance.now();
+        const stepsBefore = this.stepCount;
+
+        if (this.deterministic) {
+            // Fixed steps only, leftover time carries to the next frame
+            this.accumulator += dt;
+            let steps = 0;
+            while (this.accumulator >= this.timeStep && steps < this.maxSubSteps) {
+                this.step();
+                this.accumulator -= this.timeStep;
+                steps++;
+            }
+
+            // Drop time we can't catch up on instead of spiralling
+            if (steps === this.maxSubSteps) {
+                this.accumulator = Math.min(this.accumulator, this.timeStep);
+            }
+        } else {
             this.world.step(this.timeStep, dt, this.maxSubSteps);
         }
+
+        const elapsed = performance.now() - start;
+        const steps = this.stepCount - stepsBefore;
+        this.stepTime += (elapsed - this.stepTime) * 0.1;
+        if (steps > 0) {
+            this.stepTimePerStep += (elapsed / steps - this.stepTimePerStep) * 0.1;
+        }
+    }
+
+    // Advance exactly one fixed step
+    step() {
+        this.world.step(this.timeStep);
+    }
+
+    // Advance N fixed steps, independent of frame rate
+    stepFixed(steps) {
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+    }
+
+    // Random number source shared with the object manager
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+
+    // Enable deterministic mode with a seed, or pass null to disable
+    setDeterministic(seed) {
+        if (seed === null || seed === undefined) {
+            this.deterministic = false;
+            this.rng = null;
+        } else {
+            this.deterministic = true;
+            this.rng = new SeededRandom(seed);
+        }
+
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.time = 0;
+    }
+
+    // Compact fingerprint of every dynamic body, equal runs give equal hashes
+    getStateHash() {
+        let hash = 2166136261;
+        const mix = (value) => {
+            const text = value.toFixed(9);
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 16777619);
+            }
+        };
+
+        this.world.bodies.forEach(body => {
+            if (body.mass > 0) {
+                [body.position, body.velocity, body.angularVelocity].forEach(v => {
+                    mix(v.x); mix(v.y); mix(v.z);
+                });
+                mix(body.quaternion.x); mix(body.quaternion.y);
+                mix(body.quaternion.z); mix(body.quaternion.w);
+            }
+        });
+
+        return (hash >>> 0).toString(16);
+    }
+
+    // Attach a body to the mouse at a world point
+    grabBody(body, point) {
+        this.releaseBody();
+
+        // Static anchor that doesn't collide with anything
+        const anchor = new CANNON.Body({ mass: 0 });
+        anchor.addShape(new CANNON.Sphere(0.1));
+        anchor.collisionFilterGroup = 0;
+        anchor.collisionFilterMask = 0;
+        anchor.position.set(point.x, point.y, point.z);
+        this.world.addBody(anchor);
+
+        // Pivot in the body's local frame
+        const pivot = body.pointToLocalFrame(new CANNON.Vec3(point.x, point.y, point.z));
+        const constraint = new CANNON.PointToPointConstraint(body, pivot, anchor, new CANNON.Vec3(0, 0, 0));
+        this.world.addConstraint(constraint);
+
+        body.wakeUp();
+        this.grab = { body, anchor, constraint };
+    }
+
+    // Move the grab anchor to follow the mouse
+    moveGrab(point) {
+        if (!this.grab) return;
+        this.grab.anchor.position.set(point.x, point.y, point.z);
+        this.grab.body.wakeUp();
+    }
+
+    // Let go, optionally throwing the body with a velocity
+    releaseBody(velocity = null) {
+        if (!this.grab) return;
+
+        const { body, anchor, constraint } = this.grab;
+        this.world.removeConstraint(constraint);
+        this.world.removeBody(anchor);
+
+        if (velocity) {
+            body.velocity.set(velocity.x, velocity.y, velocity.z);
+        }
+
+        this.grab = null;
+    }
+
+    isGrabbing(body) {
+        return this.grab !== null && (body === undefined || this.grab.body === body);
+    }
+
+    // Create a joint. bodyB may be null to attach bodyA to a fixed anchor
+    // at options.anchor (world point). Types: 'distance', 'rope',
+    // 'pointToPoint', 'hinge', 'lock' and 'spring'.
+    addJoint(type, bodyA, bodyB, options = {}) {
+        let anchor = null;
+        if (!bodyB) {
+            const point = options.anchor || { x: 0, y: 10, z: 0 };
+            anchor = new CANNON.Body({ mass: 0 });
+            anchor.addShape(new CANNON.Sphere(0.1));
+            anchor.collisionFilterGroup = 0;
+            anchor.collisionFilterMask = 0;
+            anchor.position.set(point.x, point.y, point.z);
+            this.world.addBody(anchor);
+            bodyB = anchor;
+        }
+
+        const pivotA = toVec3(options.pivotA);
+        const pivotB = toVec3(options.pivotB);
+        const joint = {
+            id: this.jointId++,
+            type,
+            bodyA,
+            bodyB,
+            anchor,
+            pivotA,
+            pivotB,
+            constraint: null,
+            spring: null,
+            params: {},
+        };
+
+        switch (type) {
+            case 'distance':
+            case 'rope': {
+                const length = options.length !== undefined
+                    ? options.length
+                    : bodyA.position.distanceTo(bodyB.position);
+                joint.constraint = new CANNON.DistanceConstraint(bodyA, bodyB, length);
+                joint.params.length = length;
+                break;
+            }
+
+            case 'pointToPoint':
+                joint.constraint = new CANNON.PointToPointConstraint(bodyA, pivotA, bodyB, pivotB);
+                break;
+
+            case 'hinge':
+                joint.constraint = new CANNON.HingeConstraint(bodyA, bodyB, {
+                    pivotA,
+                    pivotB,
+                    axisA: toVec3(options.axisA || options.axis || { x: 0, y: 0, z: 1 }),
+                    axisB: toVec3(options.axisB || options.axis || { x: 0, y: 0, z: 1 }),
+                });
+                break;
+
+            case 'lock':
+                joint.constraint = new CANNON.LockConstraint(bodyA, bodyB);
+                break;
+
+            case 'spring': {
+                const restLength = options.restLength !== undefined
+                    ? options.restLength
+                    : bodyA.position.distanceTo(bodyB.position);
+                joint.spring = new CANNON.Spring(bodyA, bodyB, {
+                    localAnchorA: pivotA,
+                    localAnchorB: pivotB,
+                    restLength,
+                });
+                // Set after construction: Cannon turns a zero option into its default
+                joint.spring.stiffness = options.stiffness !== undefined ? options.stiffness : 50;
+                joint.spring.damping = options.damping !== undefined ? options.damping : 1;
+                joint.params = {
+                    restLength,
+                    stiffness: joint.spring.stiffness,
+                    damping: joint.spring.damping,
+                };
+                break;
+            }
+
+            default:
+                if (anchor) this.world.removeBody(anchor);
+                throw new Error(`Tipo de junta desconhecido: ${type}`);
+        }
+
+        if (joint.constraint) {
+            this.world.addConstraint(joint.constraint);
+        }
+
+        bodyA.wakeUp();
+        this.joints.push(joint);
+        return joint;
+    }
+
+    // Change spring k, damping, rest length or a distance/rope length
+    updateJoint(joint, params) {
+        if (joint.spring) {
+            if (params.stiffness !== undefined) joint.spring.stiffness = params.stiffness;
+            if (params.damping !== undefined) joint.spring.damping = params.damping;
+            if (params.restLength !== undefined) joint.spring.restLength = params.restLength;
+        }
+        if (params.length !== undefined && joint.constraint instanceof CANNON.DistanceConstraint) {
+            joint.constraint.distance = params.length;
+        }
+
+        Object.assign(joint.params, params);
+        joint.bodyA.wakeUp();
+    }
+
+    removeJoint(joint) {
+        const index = this.joints.indexOf(joint);
+        if (index === -1) return;
+
+        if (joint.constraint) {
+            this.world.removeConstraint(joint.constraint);
+        }
+        if (joint.anchor) {
+            this.world.removeBody(joint.anchor);
+        }
+        this.joints.splice(index, 1);
+    }
+
+    clearJoints() {
+        [...this.joints].forEach(joint => this.removeJoint(joint));
+    }
+
+    getJointsOf(body) {
+        return this.joints.filter(joint => joint.bodyA === body || joint.bodyB === body);
+    }
+
+    // World-space attachment points, for drawing
+    getJointEndpoints(joint) {
+        return {
+            a: joint.bodyA.pointToWorldFrame(joint.pivotA),
+            b: joint.bodyB.pointToWorldFrame(joint.pivotB),
+        };
+    }
+
+    // A rope only pulls: switch its constraint off while it is slack
+    updateRopes() {
+        this.joints.forEach(joint => {
+            if (joint.type !== 'rope') return;
+
+            const distance = joint.bodyA.position.distanceTo(joint.bodyB.position);
+            if (distance < joint.params.length) {
+                joint.constraint.disable();
+            } else {
+                joint.constraint.enable();
+            }
+        });
+    }
+
+    // Add a field from FORCE_FIELD_TYPES, missing params take the defaults
+    addForceField(type, params = {}) {
+        const definition = FORCE_FIELD_TYPES[type];
+        if (!definition) {
+            throw new Error(`Campo de força desconhecido: ${type}`);
+        }
+
+        const field = {
+            id: this.forceFieldId++,
+            type,
+            params: { ...cloneParams(definition.defaults), ...cloneParams(params) },
+            enabled: true,
+        };
+        this.forceFields.push(field);
+        this.wakeAllBodies();
+        return field;
+    }
+
+    updateForceField(field, params = {}, enabled = field.enabled) {
+        Object.assign(field.params, cloneParams(params));
+        field.enabled = enabled;
+        this.wakeAllBodies();
+    }
+
+    removeForceField(field) {
+        const index = this.forceFields.indexOf(field);
+        if (index === -1) return;
+
+        this.forceFields.splice(index, 1);
+        this.wakeAllBodies();
+    }
+
+    clearForceFields() {
+        [...this.forceFields].forEach(field => this.removeForceField(field));
+    }
+
+    // Called before integration, after gravity and contacts
+    applyForceFields() {
+        const active = this.forceFields.filter(field => field.enabled);
+        if (active.length === 0) return;
+
+        const bodies = this.world.bodies.filter(body => body.type === CANNON.Body.DYNAMIC);
+        const sleeping = bodies
+            .filter(body => body.sleepState === CANNON.Body.SLEEPING)
+            .map(body => ({ body, force: body.force.clone() }));
+
+        active.forEach(field => {
+            FORCE_FIELD_TYPES[field.type].apply(field.params, bodies, this.world);
+        });
+
+        // Sleeping bodies aren't integrated, so wake the ones a field pushes
+        sleeping.forEach(({ body, force }) => {
+            const pushed = body.force.vsub(force).length() * body.invMass;
+            if (pushed > 1e-3) body.wakeUp();
+        });
+    }
+
+    wakeAllBodies() {
+        this.world.bodies.forEach(body => {
+            if (body.type === CANNON.Body.DYNAMIC) body.wakeUp();
+        });
     }
 
     // Set gravity
@@ -156,14 +828,20 @@ class PhysicsEngine {
         this.world.gravity.set(x, y, z);
     }
 
-    // Update material properties
+    // Update the default surface: default objects and the ground
     updateMaterialProperties(restitution, friction) {
         this.settings.restitution = restitution;
         this.settings.friction = friction;
 
-        // Update contact material
-        this.contactMaterial.restitution = restitution;
-        this.contactMaterial.friction = friction;
+        this.materialLibrary.update('default', { restitution, friction });
+        this.materialLibrary.update('ground', { restitution, friction });
+        this.refreshContactMaterials();
+    }
+
+    // Change one library material and every pair that uses it
+    updateMaterial(name, properties) {
+        this.materialLibrary.update(name, properties);
+        this.refreshContactMaterials();
     }
 
     // Set time scale (slow motion / fast forward)
@@ -171,6 +849,15 @@ class PhysicsEngine {
         this.timeScale = Math.max(0.1, Math.min(2, scale));
     }
 
+    // listener(contact) for every new contact, see onBodyCollide
+    addContactListener(listener) {
+        this.contactListeners.push(listener);
+    }
+
+    removeContactListener(listener) {
+        this.contactListeners = this.contactListeners.filter(entry => entry !== listener);
+    }
+
     // Pause/Resume physics
     setPaused(paused) {
         this.isPaused = paused;
@@ -191,6 +878,8 @@ class PhysicsEngine {
         bodiesToRemove.forEach(body => {
             this.world.removeBody(body);
         });
+
+        this.clearJoints();
     }
 
     // Get statistics
@@ -199,10 +888,94 @@ class PhysicsEngine {
         return {
             bodyCount: dynamicBodies.length,
             isActive: !this.isPaused,
+            deterministic: this.deterministic,
+            stepCount: this.stepCount,
+            broadphase: this.broadphaseType,
+            solverIterations: this.world.solver.iterations,
+            stepTime: this.stepTime,
+            stepTimePerStep: this.stepTimePerStep,
         };
     }
 }
 
+// Collision pair search strategies offered in the UI
+const BROADPHASE_TYPES = {
+    naive: {
+        label: 'Ingênuo (todos os pares)',
+        create: () => new CANNON.NaiveBroadphase(),
+    },
+    sap: {
+        label: 'Sweep and prune',
+        create: (world) => new CANNON.SAPBroadphase(world),
+    },
+    grid: {
+        label: 'Grade espacial',
+        create: () => new GridBroadphase(),
+    },
+};
+
+// Deep copy of plain field parameters (nested vectors included)
+function cloneParams(params) {
+    return JSON.parse(JSON.stringify(params));
+}
+
+// Cone with its centre of mass at the origin: apex at +3h/4, base at -h/4
+function createConeShape(radius, height, segments) {
+    const vertices = [new CANNON.Vec3(0, height * 0.75, 0)];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        vertices.push(new CANNON.Vec3(
+            radius * Math.sin(angle),
+            -height * 0.25,
+            radius * Math.cos(angle)
+        ));
+    }
+
+    // Side faces counter-clockwise seen from outside, base faces down
+    const faces = [];
+    const base = [];
+    for (let i = 0; i < segments; i++) {
+        const current = 1 + i;
+        const next = 1 + ((i + 1) % segments);
+        faces.push([0, current, next]);
+        base.unshift(current);
+    }
+    faces.push(base);
+
+    return new CANNON.ConvexPolyhedron(vertices, faces);
+}
+
+// Ring of spheres following the tube of a torus lying in the XY plane
+function createTorusShapes(radius, tube, segments) {
+    const parts = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        parts.push({
+            shape: new CANNON.Sphere(tube),
+            offset: new CANNON.Vec3(radius * Math.cos(angle), radius * Math.sin(angle), 0),
+        });
+    }
+    return parts;
+}
+
+// Convex polyhedron from plain arrays ([[x, y, z]...], [[i, j, k]...])
+function createConvexShape(vertices, faces) {
+    return new CANNON.ConvexPolyhedron(
+        vertices.map(v => new CANNON.Vec3(v[0], v[1], v[2])),
+        faces
+    );
+}
+
+// Plain {x, y, z} (or undefined) to CANNON.Vec3
+function toVec3(v) {
+    return v ? new CANNON.Vec3(v.x, v.y, v.z) : new CANNON.Vec3(0, 0, 0);
+}
+
+// Order-independent key for a material pair
+function contactKey(nameA, nameB) {
+    return [nameA, nameB].sort().join('|');
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PhysicsEngine;
@@ -0,0 +1,376 @@
+// ===================================
+// QUESTION BANK - FILES & VALIDATION
+// ===================================
+
+// The vestibular questions live in questoes/<tema>.json, one array per
+// theme. This file loads and checks them and converts questions to and from
+// CSV, for vestibular.html and editor_questoes.html. From Node it checks
+// the files, e.g. before committing new questions:
+//
+//   node question-bank.js [pasta]
+//
+// Exits with code 1 when a file has errors.
+
+// Theme key -> label. The key is also the file name
+const QUESTION_THEMES = {
+    cinematica: 'Cinemática',
+    dinamica: 'Dinâmica',
+    estatica: 'Estática',
+    gravitacao: 'Gravitação',
+    hidrostatica: 'Hidrostática',
+    termodinamica: 'Termodinâmica',
+    ondulatoria: 'Ondulatória',
+    optica: 'Óptica',
+    eletrostatica: 'Eletrostática',
+    eletromagnetismo: 'Eletromagnetismo',
+    moderna: 'Física Moderna',
+};
+
+const QUESTION_DIFFICULTIES = {
+    easy: 'Fácil',
+    medium: 'Médio',
+    hard: 'Difícil',
+};
+
+const QUESTION_FIELDS = ['id', 'question', 'options', 'correct', 'solution', 'theme', 'source', 'difficulty'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+
+// Every theme file under baseUrl, in theme order. Resolves to
+// { bank: { theme: [questions] }, problems } and rejects when a file is
+// missing or isn't JSON (fetch also fails on file:// pages).
+async function loadQuestionBank(baseUrl = 'questoes/') {
+    const files = await Promise.all(Object.keys(QUESTION_THEMES).map(async theme => {
+        const response = await fetch(`${baseUrl}${theme}.json`);
+        if (!response.ok) {
+            throw new Error(`Não foi possível carregar ${theme}.json (${response.status})`);
+        }
+        return [theme, await response.json()];
+    }));
+
+    const bank = Object.fromEntries(files);
+    return { bank, problems: validateQuestionBank(bank) };
+}
+
+// Problems across a whole bank, so duplicates between themes are caught too
+function validateQuestionBank(bank) {
+    const seen = { ids: new Map(), texts: new Map() };
+    const problems = [];
+    Object.keys(bank).forEach(theme => {
+        if (!QUESTION_THEMES[theme]) {
+            problems.push({ theme, index: null, id: null, level: 'error', message: `Tema desconhecido: ${theme}` });
+            return;
+        }
+        if (!Array.isArray(bank[theme])) {
+            problems.push({ theme, index: null, id: null, level: 'error', message: `${theme}.json deve conter uma lista de questões` });
+            return;
+        }
+        problems.push(...validateQuestions(bank[theme], theme, seen));
+    });
+    return problems;
+}
+
+// Problems in a list of questions: [{ theme, index, id, level, message }],
+// level 'error' (the question can't be used) or 'warning'. fileTheme is the
+// file the list came from, when there is one; seen carries ids and statements
+// between calls.
+function validateQuestions(questions, fileTheme = null, seen = { ids: new Map(), texts: new Map() }) {
+    const problems = [];
+
+    questions.forEach((q, index) => {
+        const id = q && typeof q.id === 'string' ? q.id : null;
+        const report = (level, message) => problems.push({ theme: fileTheme, index, id, level, message });
+
+        if (!q || typeof q !== 'object' || Array.isArray(q)) {
+            report('error', 'Não é uma questão (objeto esperado)');
+            return;
+        }
+
+        if (!id || !id.trim()) {
+            report('error', 'Sem id');
+        } else if (seen.ids.has(id)) {
+            report('error', `Id repetido (também em ${seen.ids.get(id)})`);
+        } else {
+            seen.ids.set(id, describePosition(fileTheme, index));
+        }
+
+        if (!isFilled(q.question)) {
+            report('error', 'Enunciado vazio');
+        } else {
+            const text = normalizeStatement(q.question);
+            if (seen.texts.has(text)) {
+                report('error', `Enunciado repetido (igual a ${seen.texts.get(text)})`);
+            } else {
+                seen.texts.set(text, id || describePosition(fileTheme, index));
+            }
+        }
+
+        const options = Array.isArray(q.options) ? q.options : null;
+        if (!options) {
+            report('error', 'Alternativas ausentes');
+        } else {
+            if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+                report('error', `${options.length} alternativas (entre ${MIN_OPTIONS} e ${MAX_OPTIONS})`);
+            }
+            if (options.some(option => !isFilled(option))) {
+                report('error', 'Alternativa vazia');
+            }
+            const distinct = new Set(options.filter(isFilled).map(normalizeStatement));
+            if (distinct.size < options.filter(isFilled).length) {
+                report('warning', 'Alternativas repetidas');
+            }
+        }
+
+        if (!Number.isInteger(q.correct)) {
+            report('error', 'Alternativa correta ausente');
+        } else if (options && (q.correct < 0 || q.correct >= options.length)) {
+            report('error', `Alternativa correta ${q.correct} fora do intervalo 0–${options.length - 1}`);
+        }
+
+        if (!isFilled(q.solution)) {
+            report('error', 'Sem solução');
+        }
+
+        if (!QUESTION_THEMES[q.theme]) {
+            report('error', `Tema desconhecido: ${q.theme === undefined ? '(vazio)' : q.theme}`);
+        } else if (fileTheme && q.theme !== fileTheme) {
+            report('error', `Tema ${q.theme} no arquivo ${fileTheme}.json`);
+        }
+
+        if (!QUESTION_DIFFICULTIES[q.difficulty]) {
+            report('error', `Dificuldade desconhecida: ${q.difficulty === undefined ? '(vazia)' : q.difficulty}`);
+        }
+
+        if (!isFilled(q.source)) {
+            report('warning', 'Sem fonte');
+        }
+
+        const extra = Object.keys(q).filter(key => !QUESTION_FIELDS.includes(key));
+        if (extra.length) {
+            report('warning', `Campos desconhecidos: ${extra.join(', ')}`);
+        }
+    });
+
+    return problems;
+}
+
+function isFilled(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// Statements differing only in case or spacing count as the same
+function normalizeStatement(text) {
+    return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function describePosition(theme, index) {
+    return theme ? `${theme}.json nº ${index + 1}` : `nº ${index + 1}`;
+}
+
+// Next id in a theme: "<tema>-<n>", one past the highest n in use. Saved
+// progress refers to questions by id, so existing ids shouldn't change.
+function nextQuestionId(questions, theme) {
+    const prefix = `${theme}-`;
+    const highest = questions.reduce((max, q) => {
+        const n = q.id && q.id.startsWith(prefix) ? parseInt(q.id.slice(prefix.length), 10) : NaN;
+        return Number.isFinite(n) ? Math.max(max, n) : max;
+    }, 0);
+    return `${prefix}${highest + 1}`;
+}
+
+// Fields in file order, whatever order the editor or an import left them in
+function cleanQuestion(q) {
+    const clean = {};
+    QUESTION_FIELDS.forEach(field => {
+        if (q[field] !== undefined) clean[field] = q[field];
+    });
+    return clean;
+}
+
+// ---- CSV ----
+// One question per row, alternatives in columns A, B, C... and the correct
+// one as a letter. Written with ';', which spreadsheets set to Portuguese
+// open as columns; either separator is read back.
+
+const CSV_COLUMNS = {
+    id: 'id',
+    theme: 'tema',
+    difficulty: 'dificuldade',
+    source: 'fonte',
+    question: 'enunciado',
+    correct: 'correta',
+    solution: 'solucao',
+};
+
+function questionsToCSV(questions) {
+    const optionCount = Math.max(MIN_OPTIONS, ...questions.map(q => (q.options || []).length));
+    const letters = Array.from({ length: optionCount }, (_, i) => String.fromCharCode(65 + i));
+
+    const header = [CSV_COLUMNS.id, CSV_COLUMNS.theme, CSV_COLUMNS.difficulty, CSV_COLUMNS.source,
+        CSV_COLUMNS.question, ...letters, CSV_COLUMNS.correct, CSV_COLUMNS.solution];
+    const rows = questions.map(q => [
+        q.id, q.theme, q.difficulty, q.source, q.question,
+        ...letters.map((_, i) => (q.options || [])[i]),
+        Number.isInteger(q.correct) ? String.fromCharCode(65 + q.correct) : '',
+        q.solution,
+    ]);
+
+    // BOM so spreadsheets read the accents as UTF-8
+    return '\ufeff' + [header, ...rows].map(row => row.map(formatCSVField).join(';')).join('\r\n') + '\r\n';
+}
+
+// Questions from CSV text. Throws when a required column is missing; bad
+// values are left for validateQuestions() to report.
+function questionsFromCSV(text) {
+    const rows = parseCSV(text.replace(/^\ufeff/, ''));
+    if (rows.length === 0) {
+        throw new Error('CSV vazio');
+    }
+
+    // "Solução" and "solucao" name the same column
+    const header = rows[0].map(name => normalizeStatement(name).normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    const column = (name) => header.indexOf(name);
+    const missing = ['question', 'correct'].filter(field => column(CSV_COLUMNS[field]) < 0);
+    if (missing.length) {
+        throw new Error(`Colunas obrigatórias ausentes: ${missing.map(field => CSV_COLUMNS[field]).join(', ')}`);
+    }
+    const optionColumns = header
+        .map((name, i) => ({ name, i }))
+        .filter(entry => /^[a-z]$/.test(entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return rows.slice(1)
+        .filter(row => row.some(cell => cell.trim() !== ''))
+        .map(row => {
+            const cell = (field) => {
+                const i = column(CSV_COLUMNS[field]);
+                return i < 0 || row[i] === undefined ? '' : row[i].trim();
+            };
+            const options = optionColumns.map(entry => (row[entry.i] || '').trim());
+            while (options.length && options[options.length - 1] === '') options.pop();
+
+            const letter = cell('correct').toUpperCase();
+            const q = {
+                id: cell('id'),
+                question: cell('question'),
+                options,
+                correct: /^[A-Z]$/.test(letter) ? letter.charCodeAt(0) - 65 : null,
+                solution: cell('solution'),
+                theme: cell('theme'),
+                source: cell('source'),
+                difficulty: cell('difficulty'),
+            };
+            if (!q.id) delete q.id;
+            return q;
+        });
+}
+
+function formatCSVField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[";,\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of fields, quotes and line breaks inside quotes handled. The separator
+// is whichever of ';' or ',' appears first outside quotes.
+function parseCSV(text) {
+    const separator = detectSeparator(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === separator) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function detectSeparator(text) {
+    let quoted = false;
+    for (const c of text) {
+        if (c === '"') quoted = !quoted;
+        else if (!quoted && (c === ';' || c === ',')) return c;
+        else if (!quoted && c === '\n') break;
+    }
+    return ';';
+}
+
+// ---- Node: check the files ----
+
+function checkQuestionFiles(folder) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const bank = {};
+    let unreadable = 0;
+    Object.keys(QUESTION_THEMES).forEach(theme => {
+        const file = path.join(folder, `${theme}.json`);
+        try {
+            bank[theme] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.log(`ERRO  ${file}: ${error.message}`);
+            unreadable++;
+        }
+    });
+    fs.readdirSync(folder)
+        .filter(name => name.endsWith('.json') && !QUESTION_THEMES[name.slice(0, -5)])
+        .forEach(name => console.log(`aviso ${name}: não corresponde a nenhum tema, ignorado`));
+
+    const problems = validateQuestionBank(bank);
+    problems.forEach(problem => {
+        const where = problem.index === null ? `${problem.theme}.json` : `${describePosition(problem.theme, problem.index)}${problem.id ? ` (${problem.id})` : ''}`;
+        console.log(`${problem.level === 'error' ? 'ERRO ' : 'aviso'} ${where}: ${problem.message}`);
+    });
+
+    const total = Object.values(bank).reduce((sum, questions) => sum + (Array.isArray(questions) ? questions.length : 0), 0);
+    const errors = unreadable + problems.filter(problem => problem.level === 'error').length;
+    console.log(`${total} questões, ${errors} erro(s), ${problems.length - (errors - unreadable)} aviso(s)`);
+    return errors === 0;
+}
+
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const folder = process.argv[2] || require('path').join(__dirname, 'questoes');
+    process.exitCode = checkQuestionFiles(folder) ? 0 : 1;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTION_THEMES,
+        QUESTION_DIFFICULTIES,
+        loadQuestionBank,
+        validateQuestionBank,
+        validateQuestions,
+        nextQuestionId,
+        cleanQuestion,
+        questionsToCSV,
+        questionsFromCSV,
+    };
+}
@@ -3,10 +3,13 @@
 // ===================================
 
 class PhysicsRenderer {
-    constructor(canvasId) {
+    constructor(canvasId, physicsEngine = null) {
         this.canvas = document.getElementById(canvasId);
+        this.physicsEngine = physicsEngine; // only read for getStats()
         this.scene = null;
-        this.camera = null;
+        this.camera = null;            // the active one of the two below
+        this.perspectiveCamera = null;
+        this.orthographicCamera = null;
         this.renderer = null;
         this.controls = null;
         this.raycaster = null;
@@ -14,9 +17,27 @@ class PhysicsRenderer {
 
         // Visual elements
         this.ground = null;
+        this.grid = null;
         this.axes = null;
         this.lights = [];
 
+        // Camera animation toward a view: { fromPosition, fromTarget, toPosition, toTarget, start }
+        this.cameraTransition = null;
+        this.transitionDuration = 800; // ms
+
+        // Follow mode: returns the tracked point, or null once it is gone
+        this.followTarget = null;
+
+        // Video capture of the canvas
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+
+        // Fading markers at collision points: { mesh, start }
+        this.contactFlashes = [];
+        this.contactFlashGeometry = null;
+        this.contactFlashDuration = 600; // ms
+        this.maxContactFlashes = 40;
+
         // Settings
         this.showWireframe = false;
         this.showAxes = true;
@@ -39,9 +60,13 @@ class PhysicsRenderer {
 
         // Camera setup
         const aspect = this.canvas.clientWidth / this.canvas.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
-        this.camera.position.set(15, 15, 15);
-        this.camera.lookAt(0, 0, 0);
+        this.perspectiveCamera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        this.perspectiveCamera.position.set(15, 15, 15);
+        this.perspectiveCamera.lookAt(0, 0, 0);
+        this.camera = this.perspectiveCamera;
+
+        // Orthographic twin for measuring: no perspective, sizes read off the grid
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
 
         // Renderer setup
         this.renderer = new THREE.WebGLRenderer({
@@ -61,6 +86,11 @@ class PhysicsRenderer {
         this.controls.maxDistance = 100;
         this.controls.maxPolarAngle = Math.PI / 2 - 0.1; // Don't go below ground
 
+        // Grabbing the view takes over from an animation in progress
+        this.controls.addEventListener('start', () => {
+            this.cameraTransition = null;
+        });
+
         // Raycaster for mouse interaction
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -108,15 +138,16 @@ class PhysicsRenderer {
         this.lights.push(hemisphereLight);
     }
 
-    createGround() {
+    createGround(size = 50) {
         // Ground plane with grid
-        const gridHelper = new THREE.GridHelper(50, 50, 0x00ff88, 0x2a3f5f);
+        const gridHelper = new THREE.GridHelper(size, size, 0x00ff88, 0x2a3f5f);
         gridHelper.material.transparent = true;
         gridHelper.material.opacity = 0.3;
         this.scene.add(gridHelper);
+        this.grid = gridHelper;
 
         // Solid ground for shadows
-        const groundGeometry = new THREE.PlaneGeometry(50, 50);
+        const groundGeometry = new THREE.PlaneGeometry(size, size);
         const groundMaterial = new THREE.ShadowMaterial({
             color: 0x000000,
             opacity: 0.3,
@@ -127,28 +158,454 @@ class PhysicsRenderer {
         this.scene.add(this.ground);
     }
 
+    // Redraw the ground at a new size (in metres)
+    setGroundSize(size) {
+        [this.grid, this.ground].forEach(object => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.createGround(size);
+    }
+
     createAxes() {
         this.axes = new THREE.AxesHelper(10);
         this.axes.visible = this.showAxes;
         this.scene.add(this.axes);
     }
 
-    // Get click position on ground plane
-    getGroundIntersection(event) {
+    // Point the raycaster at the mouse position
+    updateRaycaster(event) {
         // Calculate mouse position in normalized device coordinates
         const rect = this.canvas.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-        // Update raycaster
         this.raycaster.setFromCamera(this.mouse, this.camera);
+    }
 
+    // Get click position on ground plane
+    getGroundIntersection(event) {
         // Create invisible plane at y=0 for intersection
         const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        return this.getPlaneIntersection(event, plane);
+    }
+
+    // Get mouse position on an arbitrary plane (null if parallel)
+    getPlaneIntersection(event, plane) {
+        this.updateRaycaster(event);
+
         const intersection = new THREE.Vector3();
-        this.raycaster.ray.intersectPlane(plane, intersection);
+        return this.raycaster.ray.intersectPlane(plane, intersection);
+    }
+
+    // Closest mesh under the mouse, with the hit point
+    pickObject(event, meshes) {
+        this.updateRaycaster(event);
+
+        const hits = this.raycaster.intersectObjects(meshes, false);
+        return hits.length > 0 ? hits[0] : null;
+    }
+
+    // Plane through a point facing the camera, used while dragging
+    getDragPlane(point) {
+        const normal = new THREE.Vector3();
+        this.camera.getWorldDirection(normal);
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(normal.negate(), point);
+    }
+
+    // Suspend orbiting while something else owns the mouse
+    setControlsEnabled(enabled) {
+        this.controls.enabled = enabled;
+    }
+
+    // Move to a view from CAMERA_VIEWS, smoothly unless animate is false
+    setView(name, animate = true) {
+        const view = CAMERA_VIEWS[name];
+        if (!view) return;
+
+        this.followTarget = null;
+        const position = new THREE.Vector3().fromArray(view.position);
+        const target = new THREE.Vector3().fromArray(view.target);
+        if (this.isOrthographic()) {
+            this.setOrthographicHeight(position.distanceTo(target) * this.getTanHalfFov());
+        }
+        this.moveCamera(position, target, animate);
+    }
+
+    moveCamera(position, target, animate = true) {
+        if (!animate) {
+            this.cameraTransition = null;
+            this.camera.position.copy(position);
+            this.controls.target.copy(target);
+            this.controls.update();
+            return;
+        }
+
+        // Orbit around the moving target instead of cutting straight through the scene
+        this.cameraTransition = {
+            fromTarget: this.controls.target.clone(),
+            toTarget: target.clone(),
+            fromOffset: new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(this.controls.target)),
+            toOffset: new THREE.Spherical().setFromVector3(position.clone().sub(target)),
+            start: performance.now(),
+        };
+    }
+
+    updateCameraTransition() {
+        const transition = this.cameraTransition;
+        if (!transition) return;
+
+        const progress = Math.min(1, (performance.now() - transition.start) / this.transitionDuration);
+        const eased = progress * progress * (3 - 2 * progress);
+        const from = transition.fromOffset;
+        const to = transition.toOffset;
+
+        // Shortest way around for the azimuth
+        let turn = to.theta - from.theta;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+
+        const offset = new THREE.Spherical(
+            from.radius + (to.radius - from.radius) * eased,
+            from.phi + (to.phi - from.phi) * eased,
+            from.theta + turn * eased
+        );
+        this.controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased);
+        this.camera.position.setFromSpherical(offset).add(this.controls.target);
+
+        if (progress === 1) {
+            this.cameraTransition = null;
+        }
+    }
+
+    isOrthographic() {
+        return this.camera === this.orthographicCamera;
+    }
+
+    // Swap cameras keeping the same framing
+    setOrthographic(enabled) {
+        if (enabled === this.isOrthographic()) return;
+
+        const from = this.camera;
+        const to = enabled ? this.orthographicCamera : this.perspectiveCamera;
+        const target = this.controls.target;
+
+        if (enabled) {
+            this.setOrthographicHeight(from.position.distanceTo(target) * this.getTanHalfFov());
+            to.position.copy(from.position);
+        } else {
+            // Back to the distance at which perspective shows what the zoom showed
+            const distance = from.top / from.zoom / this.getTanHalfFov();
+            const direction = from.position.clone().sub(target).normalize();
+            to.position.copy(target).addScaledVector(direction, distance);
+        }
+
+        to.quaternion.copy(from.quaternion);
+        this.camera = to;
+        this.controls.object = to;
+        this.controls.update();
+    }
+
+    getTanHalfFov() {
+        return Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+    }
+
+    // Half of the visible height in metres (at zoom 1), width follows the canvas
+    setOrthographicHeight(halfHeight, zoom = 1) {
+        const aspect = this.canvas.clientWidth / this.canvas.clientHeight;
+        const camera = this.orthographicCamera;
+        camera.left = -halfHeight * aspect;
+        camera.right = halfHeight * aspect;
+        camera.top = halfHeight;
+        camera.bottom = -halfHeight;
+        camera.zoom = zoom;
+        camera.updateProjectionMatrix();
+    }
+
+    // Track a moving point, orbiting still works around it.
+    // getPosition() returns null once there is nothing to follow.
+    follow(getPosition) {
+        this.cameraTransition = null;
+        this.followTarget = getPosition;
+    }
+
+    stopFollowing() {
+        this.followTarget = null;
+    }
+
+    isFollowing() {
+        return this.followTarget !== null;
+    }
+
+    updateFollow() {
+        if (!this.followTarget) return;
+
+        const position = this.followTarget();
+        if (!position) {
+            this.followTarget = null;
+            return;
+        }
 
-        return intersection;
+        // Ease toward the body and carry the camera along by the same amount
+        const shift = new THREE.Vector3().subVectors(position, this.controls.target).multiplyScalar(0.2);
+        this.controls.target.add(shift);
+        this.camera.position.add(shift);
+    }
+
+    // PNG of the current view. WebGL clears the drawing buffer once a frame
+    // is shown, so the frame is drawn again and read right away.
+    captureImage() {
+        return new Promise(resolve => {
+            this.renderer.render(this.scene, this.camera);
+            this.canvas.toBlob(resolve, 'image/png');
+        });
+    }
+
+    // WebM video of the canvas through MediaRecorder
+    startRecording(fps = 30) {
+        if (this.isRecording()) return;
+
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        const mimeType = typeof MediaRecorder === 'undefined'
+            ? null
+            : types.find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('Este navegador não grava vídeo WebM');
+        }
+
+        this.recordedChunks = [];
+        this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(fps), { mimeType });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.recordedChunks.push(event.data);
+        };
+        this.mediaRecorder.start();
+    }
+
+    // Resolves with the video once the recorder has flushed its last chunk
+    stopRecording() {
+        const recorder = this.mediaRecorder;
+        if (!recorder) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            recorder.onstop = () => {
+                recorder.stream.getTracks().forEach(track => track.stop());
+                this.mediaRecorder = null;
+                resolve(new Blob(this.recordedChunks, { type: recorder.mimeType }));
+            };
+            recorder.stop();
+        });
+    }
+
+    isRecording() {
+        return this.mediaRecorder !== null;
+    }
+
+    // Line (or coil for springs) drawn between joint attachment points
+    createJointVisual(type) {
+        const isSpring = type === 'spring';
+        const pointCount = isSpring ? 120 : 2;
+        const colors = {
+            spring: 0xffd93d,
+            hinge: 0xb24bf3,
+            lock: 0xff6b6b,
+        };
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+        const material = new THREE.LineBasicMaterial({ color: colors[type] || 0xe8f1f5 });
+
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false;
+        line.userData.coil = isSpring;
+        this.scene.add(line);
+        return line;
+    }
+
+    updateJointVisual(line, a, b) {
+        const positions = line.geometry.attributes.position;
+
+        if (!line.userData.coil) {
+            positions.setXYZ(0, a.x, a.y, a.z);
+            positions.setXYZ(1, b.x, b.y, b.z);
+            positions.needsUpdate = true;
+            return;
+        }
+
+        // Helix around the a→b axis, straight leads at both ends
+        const start = new THREE.Vector3(a.x, a.y, a.z);
+        const axis = new THREE.Vector3(b.x - a.x, b.y - a.y, b.z - a.z);
+        const length = axis.length();
+        axis.normalize();
+
+        const helper = Math.abs(axis.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const u = new THREE.Vector3().crossVectors(axis, helper).normalize();
+        const v = new THREE.Vector3().crossVectors(axis, u);
+
+        const turns = 12;
+        const radius = 0.25;
+        const count = positions.count;
+        const point = new THREE.Vector3();
+
+        for (let i = 0; i < count; i++) {
+            const t = i / (count - 1);
+            const lead = t < 0.08 || t > 0.92;
+            const angle = t * turns * Math.PI * 2;
+            point.copy(start).addScaledVector(axis, t * length);
+            if (!lead) {
+                point.addScaledVector(u, Math.cos(angle) * radius);
+                point.addScaledVector(v, Math.sin(angle) * radius);
+            }
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+    }
+
+    removeJointVisual(line) {
+        this.scene.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+    }
+
+    // Scene marker for a force field. Global fields (mutual gravity, drag)
+    // have no location and get an empty group
+    createForceFieldVisual(field) {
+        const group = new THREE.Group();
+        const p = field.params;
+
+        switch (field.type) {
+            case 'attractor': {
+                const color = p.strength >= 0 ? 0x00ff88 : 0xff6b6b;
+                const core = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.4, 16, 12),
+                    new THREE.MeshBasicMaterial({ color })
+                );
+                const reach = new THREE.Mesh(
+                    new THREE.SphereGeometry(p.radius, 24, 16),
+                    new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.08 })
+                );
+                group.add(core, reach);
+                group.position.set(p.position.x, p.position.y, p.position.z);
+                break;
+            }
+
+            case 'wind': {
+                // A few arrows along the air velocity
+                const v = p.velocity;
+                const speed = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+                if (speed === 0) break;
+
+                const direction = new THREE.Vector3(v.x, v.y, v.z).normalize();
+                const length = Math.min(1 + speed * 0.2, 5);
+                for (let i = -1; i <= 1; i++) {
+                    for (let j = 0; j < 2; j++) {
+                        const arrow = new THREE.ArrowHelper(
+                            direction,
+                            new THREE.Vector3(-direction.x * 8, 3 + j * 5, i * 8),
+                            length,
+                            0xe8f1f5,
+                            0.5,
+                            0.3
+                        );
+                        group.add(arrow);
+                    }
+                }
+                break;
+            }
+
+            case 'buoyancy': {
+                const size = new THREE.Vector3(p.max.x - p.min.x, p.max.y - p.min.y, p.max.z - p.min.z);
+                const fluid = new THREE.Mesh(
+                    new THREE.BoxGeometry(size.x, size.y, size.z),
+                    new THREE.MeshStandardMaterial({
+                        color: 0x1e90ff,
+                        transparent: true,
+                        opacity: 0.25,
+                        depthWrite: false,
+                    })
+                );
+                const edges = new THREE.LineSegments(
+                    new THREE.EdgesGeometry(fluid.geometry),
+                    new THREE.LineBasicMaterial({ color: 0x00d4ff })
+                );
+                group.add(fluid, edges);
+                group.position.set(
+                    (p.min.x + p.max.x) / 2,
+                    (p.min.y + p.max.y) / 2,
+                    (p.min.z + p.max.z) / 2
+                );
+                break;
+            }
+        }
+
+        group.visible = field.enabled;
+        this.scene.add(group);
+        return group;
+    }
+
+    removeForceFieldVisual(group) {
+        this.scene.remove(group);
+        group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    // Back faces of a slightly larger copy read as an outline around the object
+    createSelectionOutline(geometry, color) {
+        const material = new THREE.MeshBasicMaterial({ color: color, side: THREE.BackSide });
+        const outline = new THREE.Mesh(geometry, material);
+        this.scene.add(outline);
+        return outline;
+    }
+
+    // The geometry belongs to the object, only the material is freed
+    removeSelectionOutline(outline) {
+        this.scene.remove(outline);
+        outline.material.dispose();
+    }
+
+    // Marker at a contact point, bigger for faster impacts
+    flashContact(point, speed = 1) {
+        if (!this.contactFlashGeometry) {
+            this.contactFlashGeometry = new THREE.SphereGeometry(1, 12, 8);
+        }
+
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xffd93d,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false,
+        });
+        const mesh = new THREE.Mesh(this.contactFlashGeometry, material);
+        mesh.position.set(point.x, point.y, point.z);
+        mesh.scale.setScalar(0.1 + Math.min(speed, 10) * 0.04);
+        this.scene.add(mesh);
+
+        // A settling pile would cover the scene in markers
+        this.contactFlashes.push({ mesh, start: performance.now() });
+        if (this.contactFlashes.length > this.maxContactFlashes) {
+            this.removeContactFlash(this.contactFlashes.shift());
+        }
+    }
+
+    updateContactFlashes() {
+        const now = performance.now();
+        this.contactFlashes = this.contactFlashes.filter(flash => {
+            const age = (now - flash.start) / this.contactFlashDuration;
+            if (age >= 1) {
+                this.removeContactFlash(flash);
+                return false;
+            }
+            flash.mesh.material.opacity = 0.9 * (1 - age);
+            return true;
+        });
+    }
+
+    removeContactFlash(flash) {
+        this.scene.remove(flash.mesh);
+        flash.mesh.material.dispose();
     }
 
     // Toggle wireframe mode
@@ -188,26 +645,42 @@ class PhysicsRenderer {
         const width = this.canvas.clientWidth;
         const height = this.canvas.clientHeight;
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this.perspectiveCamera.aspect = width / height;
+        this.perspectiveCamera.updateProjectionMatrix();
+        this.setOrthographicHeight(this.orthographicCamera.top, this.orthographicCamera.zoom);
         this.renderer.setSize(width, height);
     }
 
     // Render scene
     render() {
+        this.updateCameraTransition();
+        this.updateFollow();
         this.controls.update();
+        this.updateContactFlashes();
         this.renderer.render(this.scene, this.camera);
         this.updateFPS();
     }
 
-    // Get renderer stats
+    // Get renderer stats (draw calls and triangles of the last frame)
     getStats() {
+        const info = this.renderer.info.render;
         return {
             fps: this.stats.fps,
+            drawCalls: info.calls,
+            triangles: info.triangles,
+            stepTime: this.physicsEngine ? this.physicsEngine.stepTimePerStep : 0,
         };
     }
 }
 
+// Preset views: camera position and the point it looks at
+const CAMERA_VIEWS = {
+    isometric: { label: 'Isométrica', position: [15, 15, 15], target: [0, 0, 0] },
+    top: { label: 'Topo', position: [0, 35, 0.01], target: [0, 0, 0] },
+    front: { label: 'Frente', position: [0, 5, 25], target: [0, 5, 0] },
+    side: { label: 'Lateral', position: [25, 5, 0], target: [0, 5, 0] },
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PhysicsRenderer;
@@ -0,0 +1,328 @@
+// ===================================
+// SCENARIO RUNNER - GUIDED LABS
+// ===================================
+
+// Loads a scenario (see scenarios.js for the format) through the LabAPI,
+// watches its triggers while the simulation runs and checks the student's
+// answers against its goals.
+class ScenarioRunner {
+    constructor(lab) {
+        this.lab = lab;
+        this.scenario = null;
+
+        // Simulated time when the scenario was loaded
+        this.startTime = 0;
+
+        // Recorded by triggers: name -> number
+        this.values = {};
+
+        // Trigger messages shown to the student: { time, message }
+        this.events = [];
+        this.currentStep = 0;
+
+        // goal id -> last check result
+        this.results = {};
+
+        // Armed triggers: { definition, fired, dueAt } and what to detach on unload
+        this.triggers = [];
+        this.unsubscribers = [];
+
+        this.listeners = [];
+    }
+
+    // Replace the scene with the scenario's setup
+    load(scenario) {
+        this.validate(scenario);
+        this.unload();
+
+        const lab = this.lab;
+        lab.reset();
+        lab.applySettings(scenario.settings || {});
+
+        (scenario.structures || []).forEach(data => {
+            lab.addStructure(data.kind, data.params, data.transform, data.material);
+        });
+        (scenario.forceFields || []).forEach(data => lab.addForceField(data.type, data.params));
+        scenario.objects.forEach(spec => lab.spawn(spec));
+        (scenario.joints || []).forEach(data => lab.addJoint(data.type, data.a, data.b, data.options));
+
+        if (scenario.camera) {
+            lab.setCamera(scenario.camera.position, scenario.camera.target);
+        }
+
+        this.scenario = scenario;
+        this.startTime = lab.getTime();
+        this.values = {};
+        this.events = [];
+        this.currentStep = 0;
+        this.results = {};
+        this.armTriggers(scenario.triggers || []);
+
+        if (scenario.settings && scenario.settings.startPaused) {
+            lab.pause();
+        }
+        this.notify();
+    }
+
+    // Detach from the engine, the scene itself is left as it is
+    unload() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.triggers = [];
+        this.scenario = null;
+        this.notify();
+    }
+
+    // Load the same scenario again from the start
+    restart() {
+        if (this.scenario) {
+            this.load(this.scenario);
+        }
+    }
+
+    // Seconds since the scenario was loaded
+    getElapsed() {
+        return this.lab.getTime() - this.startTime;
+    }
+
+    armTriggers(definitions) {
+        this.triggers = definitions.map(definition => ({ definition, fired: false, dueAt: null }));
+
+        // Collisions arrive as events, the rest is polled after each step
+        this.triggers.forEach(trigger => {
+            const definition = trigger.definition;
+            if (definition.type !== 'collision') return;
+
+            const [a, b] = definition.objects;
+            this.unsubscribers.push(this.lab.onCollision(a, b, () => this.activate(trigger)));
+        });
+
+        this.unsubscribers.push(this.lab.onStep(() => this.checkTriggers()));
+    }
+
+    checkTriggers() {
+        const elapsed = this.getElapsed();
+
+        this.triggers.forEach(trigger => {
+            if (trigger.fired) return;
+
+            if (trigger.dueAt === null && this.isMet(trigger.definition)) {
+                this.activate(trigger);
+            }
+            if (!trigger.fired && trigger.dueAt !== null && elapsed >= trigger.dueAt - 1e-9) {
+                this.fire(trigger);
+            }
+        });
+    }
+
+    // Is a polled condition true right now?
+    isMet(definition) {
+        const lab = this.lab;
+        // Objects removed since the scenario was loaded (undo, clear...)
+        if (definition.object && !lab.has(definition.object)) {
+            return false;
+        }
+
+        switch (definition.type) {
+            case 'time':
+                return this.getElapsed() >= definition.at;
+            case 'position': {
+                const value = lab.measure(definition.object, definition.axis || 'y');
+                return (definition.below !== undefined && value < definition.below) ||
+                    (definition.above !== undefined && value > definition.above);
+            }
+            case 'distance':
+                return lab.measure(definition.object, 'distance') >= definition.atLeast;
+            case 'custom':
+                return Boolean(definition.test(lab, this.values));
+            default:
+                return false;
+        }
+    }
+
+    // Condition met: fire now or after the trigger's delay.
+    // Triggers with `after` ignore anything before that time.
+    activate(trigger) {
+        const definition = trigger.definition;
+        const elapsed = this.getElapsed();
+        if (trigger.fired || trigger.dueAt !== null || elapsed < (definition.after || 0)) return;
+
+        trigger.dueAt = elapsed + (definition.delay || 0);
+        if (!definition.delay) {
+            this.fire(trigger);
+        }
+    }
+
+    fire(trigger) {
+        const definition = trigger.definition;
+        trigger.fired = true;
+
+        Object.keys(definition.record || {}).forEach(name => {
+            const value = this.readValue(definition.record[name]);
+            if (value !== null) this.values[name] = value;
+        });
+
+        if (definition.message) {
+            this.events.push({ time: this.getElapsed(), message: definition.message });
+        }
+        if (definition.nextStep) {
+            this.nextStep();
+        }
+        if (definition.pause) {
+            this.lab.pause();
+        }
+        this.notify();
+    }
+
+    // 'time' or 'object.quantity' (see LabAPI.measure), null if the object is gone
+    readValue(source) {
+        if (source === 'time') {
+            return this.getElapsed();
+        }
+        const dot = source.lastIndexOf('.');
+        const name = source.slice(0, dot);
+        return this.lab.has(name) ? this.lab.measure(name, source.slice(dot + 1)) : null;
+    }
+
+    nextStep() {
+        const steps = this.scenario ? this.scenario.steps || [] : [];
+        this.currentStep = Math.min(this.currentStep + 1, Math.max(0, steps.length - 1));
+        this.notify();
+    }
+
+    previousStep() {
+        this.currentStep = Math.max(0, this.currentStep - 1);
+        this.notify();
+    }
+
+    // Expected answer of a goal, null while it depends on something not measured yet
+    getExpected(goal) {
+        const expected = goal.expected;
+        let value;
+        if (typeof expected === 'number') {
+            value = expected;
+        } else if (typeof expected === 'string') {
+            value = this.values[expected];
+        } else if (typeof expected === 'function') {
+            value = expected(this.values, this.lab);
+        }
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    // Compare an answer with a goal: { status: 'correct' | 'wrong' | 'pending', expected, error }.
+    // tolerance is relative (0.05 = 5 %), absoluteTolerance is for answers near zero.
+    check(goalId, answer) {
+        const goal = this.scenario && (this.scenario.goals || []).find(g => g.id === goalId);
+        if (!goal) {
+            throw new Error(`Objetivo desconhecido: ${goalId}`);
+        }
+
+        const expected = this.getExpected(goal);
+        let result;
+        if (expected === null) {
+            result = { status: 'pending', expected: null, error: null };
+        } else {
+            const error = Math.abs(answer - expected);
+            const tolerance = Math.max(
+                Math.abs(expected) * (goal.tolerance !== undefined ? goal.tolerance : 0.05),
+                goal.absoluteTolerance || 0
+            );
+            result = { status: error <= tolerance ? 'correct' : 'wrong', expected, error };
+        }
+
+        this.results[goalId] = result;
+        this.notify();
+        return result;
+    }
+
+    // Throw a readable error when a scenario can't be run
+    validate(scenario) {
+        if (!scenario || typeof scenario.title !== 'string') {
+            throw new Error('Cenário sem título');
+        }
+        if (!Array.isArray(scenario.objects)) {
+            throw new Error('Cenário sem lista de objetos');
+        }
+
+        // Everything is checked before load() resets the scene, so a bad
+        // file can't leave the user's scene half torn down
+        const names = new Set(['ground']);
+        scenario.objects.forEach((spec, i) => {
+            try {
+                this.lab.checkSpec(spec);
+            } catch (error) {
+                throw new Error(`Objeto ${i + 1}: ${error.message}`);
+            }
+            if (spec.name) names.add(spec.name);
+        });
+
+        (scenario.structures || []).forEach((data, i) => {
+            if (!STRUCTURE_TYPES[data.kind]) {
+                throw new Error(`Estrutura ${i + 1}: tipo desconhecido "${data.kind}"`);
+            }
+        });
+        (scenario.forceFields || []).forEach((data, i) => {
+            if (!FORCE_FIELD_TYPES[data.type]) {
+                throw new Error(`Campo de força ${i + 1}: tipo desconhecido "${data.type}"`);
+            }
+        });
+        (scenario.joints || []).forEach((data, i) => {
+            if (!['distance', 'rope', 'pointToPoint', 'hinge', 'lock', 'spring'].includes(data.type)) {
+                throw new Error(`Junta ${i + 1}: tipo desconhecido "${data.type}"`);
+            }
+            // b = null ties a to options.anchor
+            (data.b === null ? [data.a] : [data.a, data.b]).forEach(name => {
+                if (name === 'ground' || !names.has(name)) {
+                    throw new Error(`Junta ${i + 1}: objeto "${name}" não existe`);
+                }
+            });
+        });
+
+        (scenario.triggers || []).forEach((trigger, i) => {
+            const referenced = trigger.type === 'collision' ? trigger.objects || [] : [trigger.object];
+            if (!['collision', 'position', 'distance', 'time', 'custom'].includes(trigger.type)) {
+                throw new Error(`Gatilho ${i + 1}: tipo desconhecido "${trigger.type}"`);
+            }
+            if (trigger.type === 'collision' && referenced.length !== 2) {
+                throw new Error(`Gatilho ${i + 1}: colisão precisa de dois objetos`);
+            }
+            // JSON files can't carry functions, so only scenarios written in code have these
+            if (trigger.type === 'custom' && typeof trigger.test !== 'function') {
+                throw new Error(`Gatilho ${i + 1}: gatilho personalizado precisa da função test`);
+            }
+            if (trigger.type !== 'time' && trigger.type !== 'custom') {
+                referenced.forEach(name => {
+                    if (!names.has(name)) {
+                        throw new Error(`Gatilho ${i + 1}: objeto "${name}" não existe`);
+                    }
+                });
+            }
+        });
+
+        (scenario.goals || []).forEach((goal, i) => {
+            if (!goal.id || !goal.prompt) {
+                throw new Error(`Objetivo ${i + 1}: faltam id ou pergunta`);
+            }
+            // The id ends up in element ids and data attributes
+            if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(goal.id)) {
+                throw new Error(`Objetivo ${i + 1}: id "${goal.id}" deve ter só letras, números, _ ou -`);
+            }
+            if (!['number', 'string', 'function'].includes(typeof goal.expected)) {
+                throw new Error(`Objetivo ${i + 1}: resposta esperada inválida`);
+            }
+        });
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioRunner;
+}
@@ -0,0 +1,169 @@
+// ===================================
+// SCENARIOS - GUIDED LAB DEFINITIONS
+// ===================================
+
+// A scenario is plain data, run by ScenarioRunner:
+//
+//   title, description
+//   settings:    { gravity, restitution, friction, groundSize, startPaused }
+//   objects:     LabAPI.spawn() specs, give a name to anything triggers use
+//   structures:  [{ kind, params, transform, material }]   (STRUCTURE_TYPES)
+//   forceFields: [{ type, params }]                        (FORCE_FIELD_TYPES)
+//   joints:      [{ type, a, b, options }] with object names
+//   camera:      { position, target }
+//   steps:       instructions shown one at a time
+//   triggers:    [{ type, ...condition, after, delay, record, message, pause, nextStep }]
+//       collision { objects: [a, b] }        b may be 'ground'
+//       position  { object, axis, below | above }
+//       distance  { object, atLeast }        horizontal, from the spawn point
+//       time      { at }
+//       custom    { test(lab, values) }      JS files only
+//     record maps a value name to 'time' or 'object.quantity' (LabAPI.measure)
+//   goals:       [{ id, prompt, unit, expected, tolerance, absoluteTolerance }]
+//     expected is a number, a recorded value name or (values, lab) => number
+//
+// Teachers can add labs from their own script (SCENARIOS.myLab = {...})
+// loaded after this file, or import a JSON file from the panel.
+const SCENARIOS = {
+    freeFall: {
+        title: 'Queda livre',
+        description: 'Meça o tempo de queda de uma esfera de aço solta a 10 m do chão e estime g.',
+        settings: { gravity: -9.8, startPaused: true },
+        objects: [
+            { name: 'esfera', label: 'Esfera', type: 'sphere', size: 0.5, material: 'steel', position: { x: 0, y: 10.25, z: 0 }, damping: 0 },
+        ],
+        camera: { position: { x: 12, y: 7, z: 12 }, target: { x: 0, y: 5, z: 0 } },
+        steps: [
+            'A base da esfera está a 10 m do chão. Preveja o tempo de queda com h = g·t²/2.',
+            'Para medir, selecione a esfera e grave a altura em 📈 Dados, ou use a linha do tempo.',
+            'Clique em ▶️ Iniciar experimento e espere a esfera tocar o chão.',
+            'Responda às perguntas com os valores medidos.',
+        ],
+        triggers: [
+            { type: 'collision', objects: ['esfera', 'ground'], record: { tQueda: 'time' }, message: 'A esfera tocou o chão', pause: true, nextStep: true },
+        ],
+        goals: [
+            { id: 'tempo', prompt: 'Quanto tempo a esfera leva para cair 10 m?', unit: 's', expected: 'tQueda', tolerance: 0.05 },
+            { id: 'g', prompt: 'Com o tempo medido, quanto vale g = 2h/t²?', unit: 'm/s²', expected: (values) => 20 / (values.tQueda * values.tQueda), tolerance: 0.05 },
+        ],
+    },
+
+    inclinedPlane: {
+        title: 'Plano inclinado',
+        description: 'Um bloco de plástico desce uma rampa de plástico a 30°. Meça a aceleração e o coeficiente de atrito.',
+        settings: { gravity: -9.8, startPaused: true },
+        structures: [
+            { kind: 'ramp', params: { angle: 30 }, transform: { x: 0, z: 0 }, material: 'plastic' },
+        ],
+        objects: [
+            { name: 'bloco', label: 'Bloco', type: 'box', size: 0.5, material: 'plastic', position: rampPoint(30, 4, 0.25), rotation: { z: 30 }, damping: 0 },
+        ],
+        camera: { position: { x: 0, y: 6, z: 16 }, target: { x: 0, y: 3, z: 0 } },
+        steps: [
+            'O bloco está parado 4 m acima do meio da rampa (ângulo de 30°).',
+            'Clique em ▶️ Iniciar experimento. O experimento para quando o bloco percorrer 4 m.',
+            'Use d = a·t²/2 para calcular a aceleração e depois μ = tan θ − a / (g cos θ).',
+        ],
+        triggers: [
+            {
+                type: 'position', object: 'bloco', axis: 'x', below: rampPoint(30, 0, 0.25).x,
+                record: { tRampa: 'time' }, message: 'O bloco percorreu 4 m', pause: true, nextStep: true,
+            },
+        ],
+        goals: [
+            { id: 'tempo', prompt: 'Quanto tempo o bloco leva para percorrer 4 m?', unit: 's', expected: 'tRampa', tolerance: 0.05 },
+            { id: 'aceleracao', prompt: 'Qual é a aceleração do bloco ao longo da rampa?', unit: 'm/s²', expected: (values) => 8 / (values.tRampa * values.tRampa), tolerance: 0.1 },
+            {
+                id: 'atrito', prompt: 'Qual é o coeficiente de atrito cinético μ?', unit: '',
+                expected: (values) => Math.tan(Math.PI / 6) - 8 / (values.tRampa * values.tRampa) / (9.8 * Math.cos(Math.PI / 6)),
+                tolerance: 0.1, absoluteTolerance: 0.03,
+            },
+        ],
+    },
+
+    collisions: {
+        title: 'Colisão elástica × inelástica',
+        description: 'Dois pares de esferas iguais colidem de frente sem gravidade: borracha (quase elástica) e gelo (quase inelástica).',
+        settings: { gravity: 0, startPaused: true },
+        objects: [
+            { name: 'borrachaA', label: 'Borracha A', type: 'sphere', size: 1, material: 'rubber', position: { x: -4, y: 3, z: -2 }, velocity: { x: 3 }, damping: 0 },
+            { name: 'borrachaB', label: 'Borracha B', type: 'sphere', size: 1, material: 'rubber', position: { x: 0, y: 3, z: -2 }, damping: 0 },
+            { name: 'geloA', label: 'Gelo A', type: 'sphere', size: 1, material: 'ice', position: { x: -4, y: 3, z: 2 }, velocity: { x: 3 }, damping: 0 },
+            { name: 'geloB', label: 'Gelo B', type: 'sphere', size: 1, material: 'ice', position: { x: 0, y: 3, z: 2 }, damping: 0 },
+        ],
+        camera: { position: { x: 0, y: 12, z: 10 }, target: { x: 0, y: 3, z: 0 } },
+        steps: [
+            'Em cada par, a esfera A vai a 3 m/s contra a esfera B parada. As massas são iguais.',
+            'Clique em ▶️ Iniciar experimento e depois selecione as esferas para ler as velocidades finais.',
+            'O coeficiente de restituição é e = (vB − vA) / 3 m/s, com as velocidades depois do choque.',
+        ],
+        triggers: [
+            {
+                type: 'collision', objects: ['borrachaA', 'borrachaB'], delay: 0.25,
+                record: { vBorrachaA: 'borrachaA.vx', vBorrachaB: 'borrachaB.vx' }, message: 'Choque das esferas de borracha',
+            },
+            {
+                type: 'collision', objects: ['geloA', 'geloB'], delay: 0.25,
+                record: { vGeloA: 'geloA.vx', vGeloB: 'geloB.vx' }, message: 'Choque das esferas de gelo', nextStep: true,
+            },
+        ],
+        goals: [
+            { id: 'eBorracha', prompt: 'Coeficiente de restituição do par de borracha', unit: '', expected: (values) => (values.vBorrachaB - values.vBorrachaA) / 3, tolerance: 0.1 },
+            { id: 'eGelo', prompt: 'Coeficiente de restituição do par de gelo', unit: '', expected: (values) => (values.vGeloB - values.vGeloA) / 3, tolerance: 0.1, absoluteTolerance: 0.05 },
+            {
+                id: 'perdaGelo', prompt: 'Quantos % da energia cinética o par de gelo perdeu?', unit: '%',
+                expected: (values) => 100 * (1 - (values.vGeloA * values.vGeloA + values.vGeloB * values.vGeloB) / 9),
+                tolerance: 0.1, absoluteTolerance: 3,
+            },
+        ],
+    },
+
+    projectile: {
+        title: 'Alcance de projétil',
+        description: 'Uma esfera é lançada a 10 m/s com 45° de elevação. Compare o alcance medido com R = v²·sen(2θ)/g.',
+        settings: { gravity: -9.8, startPaused: true },
+        objects: [
+            {
+                name: 'projetil', label: 'Projétil', type: 'sphere', size: 0.5, material: 'steel',
+                position: { x: -10, y: 0.3, z: 0 }, velocity: { x: 10 * Math.SQRT1_2, y: 10 * Math.SQRT1_2 }, damping: 0,
+            },
+        ],
+        camera: { position: { x: -5, y: 6, z: 18 }, target: { x: -5, y: 2, z: 0 } },
+        steps: [
+            'Calcule o alcance previsto com R = v²·sen(2θ)/g.',
+            'Clique em ▶️ Iniciar experimento. O experimento para quando a esfera tocar o chão.',
+            'Compare o alcance medido com a previsão.',
+        ],
+        triggers: [
+            {
+                type: 'collision', objects: ['projetil', 'ground'], after: 0.1,
+                record: { alcance: 'projetil.distance', tVoo: 'time' }, message: 'O projétil tocou o chão', pause: true, nextStep: true,
+            },
+        ],
+        goals: [
+            { id: 'previsao', prompt: 'Alcance previsto pela fórmula', unit: 'm', expected: 100 / 9.8, tolerance: 0.02 },
+            { id: 'alcance', prompt: 'Alcance medido na simulação', unit: 'm', expected: 'alcance', tolerance: 0.05 },
+            { id: 'tempo', prompt: 'Tempo de voo medido', unit: 's', expected: 'tVoo', tolerance: 0.05 },
+        ],
+    },
+};
+
+// Centre of a cube of half-size `lift` resting on a default ramp (length 12,
+// thickness 0.3, centred at the origin) `s` metres up the slope from its middle
+function rampPoint(angleDeg, s, lift) {
+    const angle = angleDeg * Math.PI / 180;
+    const halfThickness = 0.15;
+    const centreY = 6 * Math.sin(angle) + halfThickness * Math.cos(angle);
+    const up = halfThickness + lift + 0.01;
+
+    return {
+        x: s * Math.cos(angle) - up * Math.sin(angle),
+        y: centreY + s * Math.sin(angle) + up * Math.cos(angle),
+        z: 0,
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SCENARIOS;
+}
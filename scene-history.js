@@ -0,0 +1,271 @@
+// ===================================
+// SCENE HISTORY - UNDO / REDO
+// ===================================
+
+// Every edit runs through record(): the scene is captured before and
+// after, and only the difference is kept. Undo writes the "before" side
+// of that difference back, so objects that weren't touched keep moving.
+class SceneHistory {
+    constructor(sceneSerializer, objectManager, limit = 50) {
+        this.sceneSerializer = sceneSerializer;
+        this.objectManager = objectManager;
+        this.limit = limit;
+
+        // { label, change, mergeKey, time }
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Edits arriving within this window with the same mergeKey
+        // (slider drags, typing) become one entry
+        this.mergeWindow = 1000;
+
+        this.recording = false;
+        this.listeners = [];
+    }
+
+    // Run an edit and remember how to revert it. Nested calls fold into
+    // the outer edit. Returns whatever mutate() returns. An edit that
+    // throws halfway is still recorded, so what it did can be undone.
+    // scope 'settings' captures only the settings, for edits that can't
+    // touch objects (sliders fire on every move, the bodies may be thousands).
+    record(label, mutate, mergeKey = null, scope = 'scene') {
+        if (this.recording) {
+            return mutate();
+        }
+
+        const before = this.capture(scope);
+        let result;
+        this.recording = true;
+        try {
+            result = mutate();
+        } catch (error) {
+            this.recording = false;
+            this.push(label, diffScenes(before, this.capture(scope)), null);
+            throw error;
+        }
+        this.recording = false;
+        this.push(label, diffScenes(before, this.capture(scope)), mergeKey);
+        return result;
+    }
+
+    // Add a change to the undo stack, folding it into the top entry when mergeable
+    push(label, change, mergeKey) {
+        if (!change) return;
+
+        const now = performance.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (mergeKey && top && top.mergeKey === mergeKey && now - top.time < this.mergeWindow &&
+            canMerge(top.change) && canMerge(change)) {
+            top.change = mergeChanges(top.change, change);
+            top.time = now;
+        } else {
+            this.undoStack.push({ label, change, mergeKey, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.applyChange(entry.change, 'before');
+        this.redoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.applyChange(entry.change, 'after');
+        this.undoStack.push(entry);
+        this.notify();
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Scene state keyed by object id; joints point at ids as well,
+    // since array indices shift when objects come and go
+    capture(scope = 'scene') {
+        if (scope === 'settings') {
+            return {
+                settings: this.sceneSerializer.serializeSettings(),
+                objects: new Map(),
+                joints: null,
+                structures: null,
+                forceFields: null,
+            };
+        }
+
+        const scene = this.sceneSerializer.serialize();
+        const objects = new Map();
+        scene.objects.forEach(data => objects.set(data.id, data));
+
+        const joints = scene.joints.map(joint => ({
+            ...joint,
+            a: scene.objects[joint.a].id,
+            b: joint.b === null ? null : scene.objects[joint.b].id,
+        }));
+
+        return {
+            settings: scene.settings,
+            objects,
+            joints,
+            structures: scene.structures,
+            forceFields: scene.forceFields,
+        };
+    }
+
+    // Bring the scene to one side ('before' or 'after') of a change
+    applyChange(change, side) {
+        const serializer = this.sceneSerializer;
+        const objects = this.objectManager;
+        const absent = side === 'before' ? change.added : change.removed;
+        const present = side === 'before' ? change.removed : change.added;
+
+        absent.forEach(data => {
+            const obj = objects.findById(data.id);
+            if (obj) objects.removeObject(obj);
+        });
+
+        // Recreated objects take their old id back so later entries still find them
+        present.forEach(data => {
+            const obj = serializer.loadObject(data);
+            if (obj) obj.id = data.id;
+        });
+
+        change.changed.forEach(entry => {
+            const obj = objects.findById(entry.id);
+            if (obj) serializer.applyObjectState(obj, entry[side]);
+        });
+
+        if (change.structures) {
+            objects.clearStructures();
+            change.structures[side].forEach(data => serializer.loadStructure(data));
+        }
+
+        if (change.forceFields) {
+            objects.clearForceFields();
+            change.forceFields[side].forEach(data => serializer.loadForceField(data));
+        }
+
+        if (change.joints) {
+            [...objects.joints].forEach(entry => objects.removeJoint(entry));
+            change.joints[side].forEach(data => {
+                const objA = objects.findById(data.a);
+                const objB = data.b === null ? null : objects.findById(data.b);
+                if (objA && (data.b === null || objB)) {
+                    objects.addJoint(data.type, objA, objB, data.options);
+                }
+            });
+        }
+
+        if (change.settings) {
+            serializer.applySettings(change.settings[side]);
+        }
+    }
+}
+
+// What differs between two captures, null when nothing does.
+// Changed objects keep only the fields that differ.
+function diffScenes(before, after) {
+    const change = { added: [], removed: [], changed: [] };
+
+    after.objects.forEach((data, id) => {
+        const old = before.objects.get(id);
+        if (!old) {
+            change.added.push(data);
+            return;
+        }
+
+        const keys = Object.keys(data).filter(key => !sameValue(old[key], data[key]));
+        if (keys.length) {
+            change.changed.push({ id, before: pickFields(old, keys), after: pickFields(data, keys) });
+        }
+    });
+
+    before.objects.forEach((data, id) => {
+        if (!after.objects.has(id)) change.removed.push(data);
+    });
+
+    ['settings', 'joints', 'structures', 'forceFields'].forEach(key => {
+        if (!sameValue(before[key], after[key])) {
+            change[key] = { before: before[key], after: after[key] };
+        }
+    });
+
+    const empty = !change.added.length && !change.removed.length && !change.changed.length &&
+        !change.settings && !change.joints && !change.structures && !change.forceFields;
+    return empty ? null : change;
+}
+
+// Only in-place edits merge, adding or removing objects always gets its own entry
+function canMerge(change) {
+    return !change.added.length && !change.removed.length;
+}
+
+// First "before" and last "after" of every field
+function mergeChanges(first, second) {
+    const changed = new Map();
+    first.changed.forEach(entry => changed.set(entry.id, { ...entry }));
+    second.changed.forEach(entry => {
+        const existing = changed.get(entry.id);
+        changed.set(entry.id, existing
+            ? { id: entry.id, before: { ...entry.before, ...existing.before }, after: { ...existing.after, ...entry.after } }
+            : entry);
+    });
+
+    const merged = { added: [], removed: [], changed: [...changed.values()] };
+    ['settings', 'joints', 'structures', 'forceFields'].forEach(key => {
+        if (first[key] || second[key]) {
+            merged[key] = {
+                before: (first[key] || second[key]).before,
+                after: (second[key] || first[key]).after,
+            };
+        }
+    });
+    return merged;
+}
+
+// Custom shapes are shared arrays, the identity check spares stringifying them
+function sameValue(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function pickFields(data, keys) {
+    const result = {};
+    keys.forEach(key => { result[key] = data[key]; });
+    return result;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneHistory;
+}
@@ -0,0 +1,319 @@
+// ===================================
+// SCENE SERIALIZER - SAVE / LOAD
+// ===================================
+
+class SceneSerializer {
+    constructor(physicsEngine, objectManager, renderer) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        // Document identification
+        this.format = 'labfis-scene';
+        this.version = 1;
+        this.hashKey = 'scene';
+    }
+
+    // Capture the whole scene into a plain JSON-friendly object
+    serialize() {
+        return {
+            format: this.format,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            settings: this.serializeSettings(),
+            camera: this.serializeCamera(),
+            objects: this.objectManager.objects.map(obj => this.serializeObject(obj)),
+            joints: this.objectManager.joints.map(entry => this.serializeJoint(entry)),
+            structures: this.objectManager.structures.map(structure => ({
+                kind: structure.kind,
+                params: structure.params,
+                transform: structure.transform,
+                material: structure.material,
+            })),
+            forceFields: this.objectManager.forceFields.map(({ field }) => ({
+                type: field.type,
+                params: field.params,
+                enabled: field.enabled,
+            })),
+        };
+    }
+
+    serializeSettings() {
+        const settings = this.physicsEngine.settings;
+        return {
+            gravity: { ...settings.gravity },
+            restitution: settings.restitution,
+            friction: settings.friction,
+            groundSize: this.physicsEngine.groundSize,
+            broadphase: this.physicsEngine.broadphaseType,
+            solverIterations: this.physicsEngine.getSolverIterations(),
+            timeStep: this.physicsEngine.timeStep,
+            maxSubSteps: this.physicsEngine.maxSubSteps,
+        };
+    }
+
+    // Joints refer to objects by their index in the objects array
+    serializeJoint(entry) {
+        const objects = this.objectManager.objects;
+        const joint = entry.joint;
+        const options = { ...entry.options, ...joint.params };
+
+        if (joint.anchor) {
+            options.anchor = { x: joint.anchor.position.x, y: joint.anchor.position.y, z: joint.anchor.position.z };
+        }
+
+        return {
+            type: joint.type,
+            a: objects.indexOf(entry.objA),
+            b: entry.objB ? objects.indexOf(entry.objB) : null,
+            options,
+        };
+    }
+
+    serializeObject(obj) {
+        const body = obj.body;
+        const data = {
+            id: obj.id,
+            type: obj.type,
+            size: obj.size,
+            material: obj.material,
+            mass: this.objectManager.getObjectMass(obj),
+            color: obj.color,
+            label: obj.label,
+            frozen: obj.frozen,
+            position: vec3ToArray(body.position),
+            quaternion: [body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w],
+            velocity: vec3ToArray(body.velocity),
+            angularVelocity: vec3ToArray(body.angularVelocity),
+        };
+
+        // Standard shapes rebuild from type and size, custom ones need their geometry
+        if (obj.customShape) {
+            data.shape = obj.customShape;
+        }
+        return data;
+    }
+
+    serializeCamera() {
+        if (!this.renderer) {
+            return null;
+        }
+
+        return {
+            position: vec3ToArray(this.renderer.camera.position),
+            target: vec3ToArray(this.renderer.controls.target),
+        };
+    }
+
+    // Replace the running scene with the contents of a document
+    load(scene) {
+        this.validate(scene);
+
+        this.objectManager.clearAll();
+        this.objectManager.clearStructures();
+        this.objectManager.clearForceFields();
+
+        this.applySettings(scene.settings);
+
+        // Static geometry before the objects that rest on it
+        (scene.structures || []).forEach(data => this.loadStructure(data));
+        (scene.forceFields || []).forEach(data => this.loadForceField(data));
+
+        // Camera
+        if (scene.camera && this.renderer) {
+            this.renderer.camera.position.fromArray(scene.camera.position);
+            this.renderer.controls.target.fromArray(scene.camera.target);
+            this.renderer.controls.update();
+        }
+
+        // Objects, then the joints between them
+        const objects = scene.objects.map(data => this.loadObject(data));
+        (scene.joints || []).forEach(data => {
+            const objA = objects[data.a];
+            const objB = data.b === null ? null : objects[data.b];
+            if (objA && objB !== undefined) {
+                this.objectManager.addJoint(data.type, objA, objB, data.options);
+            }
+        });
+    }
+
+    // Gravity, contact defaults, ground and numerics. Older scenes
+    // without the numerics keep the current choice.
+    applySettings(settings) {
+        const engine = this.physicsEngine;
+        const { gravity, restitution, friction } = settings;
+        engine.setGravity(gravity.x, gravity.y, gravity.z);
+        engine.updateMaterialProperties(restitution, friction);
+
+        if (settings.broadphase && settings.broadphase !== engine.broadphaseType) {
+            engine.setBroadphase(settings.broadphase);
+        }
+        if (settings.solverIterations) {
+            engine.setSolverIterations(settings.solverIterations);
+        }
+        if (settings.timeStep) {
+            engine.setTimeStep(settings.timeStep, settings.maxSubSteps || engine.maxSubSteps);
+        }
+
+        const groundSize = settings.groundSize === undefined ? null : settings.groundSize;
+        if (groundSize !== engine.groundSize) {
+            engine.setGroundSize(groundSize);
+            if (this.renderer) {
+                this.renderer.setGroundSize(groundSize || 50);
+            }
+        }
+    }
+
+    loadStructure(data) {
+        return this.objectManager.createStructure(data.kind, data.params, data.transform, data.material);
+    }
+
+    loadForceField(data) {
+        const entry = this.objectManager.addForceField(data.type, data.params);
+        if (data.enabled === false) {
+            this.objectManager.updateForceField(entry, {}, false);
+        }
+        return entry;
+    }
+
+    loadObject(data) {
+        const [x, y, z] = data.position;
+        const objects = this.objectManager;
+        const obj = data.shape
+            ? objects.createCustomObject(objects.createGeometry(data.shape), { x, y, z }, { mode: data.shape.mode, material: data.material })
+            : objects.createObject(data.type, { x, y, z }, data.size, data.material);
+        if (!obj) {
+            return null;
+        }
+
+        this.applyObjectState(obj, { label: '', ...data });
+        return obj;
+    }
+
+    // Write serialized fields onto an existing object. Missing fields are
+    // left alone, so a partial record only changes what it lists.
+    applyObjectState(obj, data) {
+        const objects = this.objectManager;
+        const body = obj.body;
+
+        // Thaw first so mass and material land on a dynamic body
+        if (data.frozen === false && obj.frozen) {
+            objects.setObjectFrozen(obj, false);
+        }
+        if (data.material !== undefined && data.material !== obj.material) {
+            objects.setObjectMaterial(obj, data.material);
+        }
+        if (data.size !== undefined && data.size !== null && data.size !== obj.size) {
+            objects.resizeObject(obj, data.size);
+        }
+        if (typeof data.mass === 'number' && data.mass !== objects.getObjectMass(obj)) {
+            objects.setObjectMass(obj, data.mass);
+        }
+        if (typeof data.color === 'number') {
+            objects.setObjectColor(obj, data.color);
+        }
+        if (data.label !== undefined) {
+            obj.label = data.label;
+        }
+
+        if (data.position) {
+            body.position.set(data.position[0], data.position[1], data.position[2]);
+            body.previousPosition.copy(body.position);
+            body.interpolatedPosition.copy(body.position);
+            body.aabbNeedsUpdate = true;
+        }
+        if (data.quaternion) {
+            body.quaternion.set(data.quaternion[0], data.quaternion[1], data.quaternion[2], data.quaternion[3]);
+            body.interpolatedQuaternion.copy(body.quaternion);
+        }
+        if (data.velocity) {
+            body.velocity.set(data.velocity[0], data.velocity[1], data.velocity[2]);
+        }
+        if (data.angularVelocity) {
+            body.angularVelocity.set(data.angularVelocity[0], data.angularVelocity[1], data.angularVelocity[2]);
+        }
+        body.wakeUp();
+
+        // Freezing zeroes the velocities, so it comes last
+        if (data.frozen && !obj.frozen) {
+            objects.setObjectFrozen(obj, true);
+        }
+    }
+
+    // Throw a readable error when the document can't be loaded
+    validate(scene) {
+        if (!scene || scene.format !== this.format) {
+            throw new Error('Arquivo não é uma cena do laboratório');
+        }
+        if (typeof scene.version !== 'number' || scene.version > this.version) {
+            throw new Error(`Versão de cena não suportada: ${scene.version}`);
+        }
+        if (!scene.settings || !scene.settings.gravity || !Array.isArray(scene.objects)) {
+            throw new Error('Cena incompleta');
+        }
+    }
+
+    // JSON text helpers
+    toJSON() {
+        return JSON.stringify(this.serialize(), null, 2);
+    }
+
+    loadJSON(text) {
+        this.load(JSON.parse(text));
+    }
+
+    // Download the current scene as a .json file
+    exportToFile(filename = 'cena.json') {
+        const blob = new Blob([this.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    // Load a scene from a File picked by the user
+    importFromFile(file) {
+        return this.readFile(file).then(text => this.loadJSON(text));
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    // Encode the scene for a shareable link (#scene=...)
+    toHash() {
+        const json = JSON.stringify(this.serialize());
+        const encoded = btoa(unescape(encodeURIComponent(json)));
+        return `#${this.hashKey}=${encoded}`;
+    }
+
+    // Load the scene stored in a URL hash, returns false if there is none
+    loadFromHash(hash = window.location.hash) {
+        const prefix = `#${this.hashKey}=`;
+        if (!hash || !hash.startsWith(prefix)) {
+            return false;
+        }
+
+        const json = decodeURIComponent(escape(atob(hash.slice(prefix.length))));
+        this.loadJSON(json);
+        return true;
+    }
+}
+
+function vec3ToArray(v) {
+    return [v.x, v.y, v.z];
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneSerializer;
+}
@@ -0,0 +1,34 @@
+// ===================================
+// SEEDED RANDOM - REPRODUCIBLE RUNS
+// ===================================
+
+// Mulberry32: tiny 32-bit generator, same sequence for the same seed
+class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
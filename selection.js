@@ -0,0 +1,87 @@
+// ===================================
+// SELECTION - OUTLINES & MULTI-SELECT
+// ===================================
+
+class SelectionManager {
+    constructor(objectManager, renderer) {
+        this.objectManager = objectManager;
+        this.renderer = renderer;
+
+        // Selected objects in click order, the last one is the primary
+        this.objects = [];
+
+        // id -> outline mesh drawn around the object
+        this.outlines = new Map();
+
+        // Outlines are the object grown by this factor
+        this.outlineScale = 1.08;
+        this.colors = {
+            primary: 0xffffff,
+            secondary: 0x00d4ff,
+        };
+    }
+
+    // Replace the selection, or toggle one object in it (shift-click)
+    select(obj, additive = false) {
+        if (!additive) {
+            this.objects = obj ? [obj] : [];
+        } else if (obj && this.has(obj)) {
+            this.objects = this.objects.filter(selected => selected !== obj);
+        } else if (obj) {
+            this.objects.push(obj);
+        }
+        this.sync();
+    }
+
+    clear() {
+        this.select(null);
+    }
+
+    has(obj) {
+        return this.objects.includes(obj);
+    }
+
+    // Object the inspector shows, null when nothing is selected
+    getPrimary() {
+        return this.objects.length ? this.objects[this.objects.length - 1] : null;
+    }
+
+    // Drop removed objects and keep outlines on their objects,
+    // called from ObjectManager.update()
+    sync() {
+        this.objects = this.objects.filter(obj => this.objectManager.objects.includes(obj));
+        const primary = this.getPrimary();
+        const alive = new Set();
+
+        this.objects.forEach(obj => {
+            alive.add(obj.id);
+
+            const outline = this.outlines.get(obj.id) || this.createOutline(obj);
+            outline.position.copy(obj.mesh.position);
+            outline.quaternion.copy(obj.mesh.quaternion);
+            outline.scale.copy(obj.mesh.scale).multiplyScalar(this.outlineScale);
+            outline.visible = obj.mesh.visible;
+            outline.material.color.set(obj === primary ? this.colors.primary : this.colors.secondary);
+        });
+
+        this.outlines.forEach((outline, id) => {
+            if (!alive.has(id)) {
+                this.renderer.removeSelectionOutline(outline);
+                this.outlines.delete(id);
+            }
+        });
+    }
+
+    // Batched objects share their unit geometry, custom ones own a mesh
+    createOutline(obj) {
+        const geometry = obj.batch ? this.objectManager.getGeometry(obj.type) : obj.mesh.geometry;
+        const outline = this.renderer.createSelectionOutline(geometry, this.colors.secondary);
+        this.outlines.set(obj.id, outline);
+        return outline;
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectionManager;
+}
@@ -0,0 +1,186 @@
+// ===================================
+// SIMULATION RECORDER - REPLAY & TIMELINE
+// ===================================
+
+class SimulationRecorder {
+    constructor(physicsEngine, objectManager, capacity = 1800, maxValues = 8e6) {
+        this.physicsEngine = physicsEngine;
+        this.objectManager = objectManager;
+
+        // Ring buffer of frames (30 s at 60 Hz by default)
+        this.capacity = capacity;
+        this.frames = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+
+        // Memory budget in stored numbers (64 MB), crowded scenes keep less history
+        this.maxValues = maxValues;
+        this.storedValues = 0;
+
+        // Playback state
+        this.isRecording = true;
+        this.playhead = -1; // -1 means live
+
+        this.onStep = () => this.record();
+        this.physicsEngine.world.addEventListener('postStep', this.onStep);
+    }
+
+    // Snapshot every body after a physics step
+    record() {
+        if (!this.isRecording || this.isScrubbing()) {
+            return;
+        }
+
+        // Packed per body: id order in ids, STATE_SIZE numbers each in data
+        const objects = this.objectManager.objects;
+        const frame = {
+            time: this.physicsEngine.time,
+            ids: new Int32Array(objects.length),
+            data: new Float64Array(objects.length * STATE_SIZE),
+        };
+        objects.forEach((obj, i) => {
+            frame.ids[i] = obj.id;
+            captureBodyState(obj, frame.data, i * STATE_SIZE);
+        });
+
+        // Make room: full ring or over the memory budget drops the oldest
+        while (this.length > 0 &&
+            (this.length === this.capacity || this.storedValues + frame.data.length > this.maxValues)) {
+            this.storedValues -= this.frames[this.start].data.length;
+            this.frames[this.start] = undefined;
+            this.start = (this.start + 1) % this.capacity;
+            this.length--;
+        }
+
+        const index = (this.start + this.length) % this.capacity;
+        this.frames[index] = frame;
+        this.storedValues += frame.data.length;
+        this.length++;
+    }
+
+    // Frame by position in the timeline (0 = oldest)
+    getFrame(position) {
+        if (position < 0 || position >= this.length) {
+            return null;
+        }
+        return this.frames[(this.start + position) % this.capacity];
+    }
+
+    isScrubbing() {
+        return this.playhead !== -1;
+    }
+
+    // Move the playhead and pose the scene at that frame
+    seek(position) {
+        if (this.length === 0) {
+            return;
+        }
+
+        this.playhead = Math.max(0, Math.min(this.length - 1, position));
+        this.applyFrame(this.getFrame(this.playhead));
+    }
+
+    stepBackward() {
+        const current = this.isScrubbing() ? this.playhead : this.length - 1;
+        this.seek(current - 1);
+    }
+
+    stepForward() {
+        if (!this.isScrubbing()) {
+            // Live and paused: run a single physics step
+            this.physicsEngine.step();
+            return;
+        }
+        this.seek(this.playhead + 1);
+    }
+
+    applyFrame(frame) {
+        const offsets = new Map();
+        frame.ids.forEach((id, i) => offsets.set(id, i * STATE_SIZE));
+
+        this.objectManager.objects.forEach(obj => {
+            const offset = offsets.get(obj.id);
+
+            // Objects spawned after this frame are hidden while scrubbing
+            obj.mesh.visible = offset !== undefined;
+            if (offset !== undefined) {
+                restoreBodyState(obj, frame.data, offset);
+            }
+        });
+
+        this.physicsEngine.time = frame.time;
+    }
+
+    // Continue the simulation from the current playhead, dropping the future
+    resumeFromPlayhead() {
+        if (!this.isScrubbing()) {
+            return;
+        }
+
+        const frame = this.getFrame(this.playhead);
+        const kept = new Set(frame.ids);
+
+        [...this.objectManager.objects].forEach(obj => {
+            if (!kept.has(obj.id)) {
+                this.objectManager.removeObject(obj);
+            }
+        });
+
+        for (let i = this.playhead + 1; i < this.length; i++) {
+            this.storedValues -= this.getFrame(i).data.length;
+        }
+        this.length = this.playhead + 1;
+        this.playhead = -1;
+    }
+
+    clear() {
+        this.frames = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+        this.storedValues = 0;
+        this.playhead = -1;
+    }
+
+    // Recorded duration in seconds
+    getDuration() {
+        if (this.length < 2) {
+            return 0;
+        }
+        return this.getFrame(this.length - 1).time - this.getFrame(0).time;
+    }
+
+    dispose() {
+        this.physicsEngine.world.removeEventListener('postStep', this.onStep);
+    }
+}
+
+// position (3), quaternion (4), velocity (3), angular velocity (3)
+const STATE_SIZE = 13;
+
+function captureBodyState(obj, data, offset) {
+    const { position: p, quaternion: q, velocity: v, angularVelocity: w } = obj.body;
+    data[offset] = p.x; data[offset + 1] = p.y; data[offset + 2] = p.z;
+    data[offset + 3] = q.x; data[offset + 4] = q.y; data[offset + 5] = q.z; data[offset + 6] = q.w;
+    data[offset + 7] = v.x; data[offset + 8] = v.y; data[offset + 9] = v.z;
+    data[offset + 10] = w.x; data[offset + 11] = w.y; data[offset + 12] = w.z;
+}
+
+function restoreBodyState(obj, data, offset) {
+    const body = obj.body;
+    const d = (i) => data[offset + i];
+    body.position.set(d(0), d(1), d(2));
+    body.quaternion.set(d(3), d(4), d(5), d(6));
+    body.velocity.set(d(7), d(8), d(9));
+    body.angularVelocity.set(d(10), d(11), d(12));
+
+    // Keep interpolation from blending with the old pose
+    body.previousPosition.copy(body.position);
+    body.interpolatedPosition.copy(body.position);
+    body.interpolatedQuaternion.copy(body.quaternion);
+    body.wakeUp();
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationRecorder;
+}
@@ -0,0 +1,134 @@
+// ===================================
+// STRUCTURES - STATIC SCENE BUILDING
+// ===================================
+
+// Each builder turns user parameters into cuboid parts in the structure's
+// local frame (origin on the ground, y up). User angles are in degrees,
+// part rotations are quaternions {x, y, z, w}.
+const STRUCTURE_TYPES = {
+    ramp: {
+        label: 'Plano inclinado',
+        defaults: { angle: 30, length: 12, width: 4, thickness: 0.3 },
+        build(p) {
+            const angle = p.angle * Math.PI / 180;
+            const halfLength = p.length / 2;
+            const halfThickness = p.thickness / 2;
+
+            // Lower edge rests on the ground at x = -length/2 · cos(angle)
+            return [cuboid(
+                { x: halfLength, y: halfThickness, z: p.width / 2 },
+                { x: 0, y: halfLength * Math.sin(angle) + halfThickness * Math.cos(angle), z: 0 },
+                axisAngle('z', angle)
+            )];
+        },
+    },
+
+    wall: {
+        label: 'Parede',
+        defaults: { width: 10, height: 3, thickness: 0.4 },
+        build(p) {
+            return [cuboid(
+                { x: p.width / 2, y: p.height / 2, z: p.thickness / 2 },
+                { x: 0, y: p.height / 2, z: 0 }
+            )];
+        },
+    },
+
+    container: {
+        label: 'Caixa aberta',
+        defaults: { size: 10, height: 2, thickness: 0.3 },
+        build(p) {
+            const half = p.size / 2;
+            const t = p.thickness / 2;
+            const h = p.height / 2;
+            return [
+                cuboid({ x: half + t, y: h, z: t }, { x: 0, y: h, z: half }),
+                cuboid({ x: half + t, y: h, z: t }, { x: 0, y: h, z: -half }),
+                cuboid({ x: t, y: h, z: half + t }, { x: half, y: h, z: 0 }),
+                cuboid({ x: t, y: h, z: half + t }, { x: -half, y: h, z: 0 }),
+            ];
+        },
+    },
+
+    bowl: {
+        label: 'Tigela',
+        defaults: { radius: 5, height: 2.5, segments: 16, thickness: 0.3 },
+        build(p) {
+            // Tilted panels around a ring approximate the curved wall
+            const parts = [];
+            const slope = Math.atan2(p.height, p.radius * 0.5);
+            const panelLength = Math.hypot(p.height, p.radius * 0.5);
+            const panelWidth = 2 * Math.PI * p.radius / p.segments;
+            const ringRadius = p.radius * 0.75;
+
+            for (let i = 0; i < p.segments; i++) {
+                const angle = (i / p.segments) * Math.PI * 2;
+                // Tilt the outer edge up, then turn the panel around the ring
+                parts.push(cuboid(
+                    { x: panelLength / 2, y: p.thickness / 2, z: panelWidth / 2 },
+                    { x: ringRadius * Math.cos(angle), y: p.height / 2, z: -ringRadius * Math.sin(angle) },
+                    multiplyQuaternions(axisAngle('y', angle), axisAngle('z', slope))
+                ));
+            }
+            return parts;
+        },
+    },
+
+    platform: {
+        label: 'Plataforma móvel',
+        defaults: { width: 4, depth: 4, height: 2, axis: 'x', amplitude: 4, period: 4 },
+        kinematic: true,
+        build(p) {
+            return [cuboid(
+                { x: p.width / 2, y: 0.2, z: p.depth / 2 },
+                { x: 0, y: p.height, z: 0 }
+            )];
+        },
+        // Simple harmonic motion along one axis, starting at the centre
+        motion(p) {
+            const omega = 2 * Math.PI / p.period;
+            return (time) => {
+                const speed = p.amplitude * omega * Math.cos(omega * time);
+                return {
+                    x: p.axis === 'x' ? speed : 0,
+                    y: p.axis === 'y' ? speed : 0,
+                    z: p.axis === 'z' ? speed : 0,
+                };
+            };
+        },
+    },
+};
+
+function cuboid(halfExtents, offset, rotation = null) {
+    return {
+        shape: { type: 'cuboid', halfExtents },
+        offset,
+        rotation,
+    };
+}
+
+// Quaternion for a rotation around a principal axis ('x', 'y' or 'z')
+function axisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return {
+        x: axis === 'x' ? s : 0,
+        y: axis === 'y' ? s : 0,
+        z: axis === 'z' ? s : 0,
+        w: Math.cos(angle / 2),
+    };
+}
+
+// a · b: rotate by b first, then by a
+function multiplyQuaternions(a, b) {
+    return {
+        x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+        y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+        z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+        w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+    };
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = STRUCTURE_TYPES;
+}